@@ -0,0 +1,276 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { MAX_SUSPENSION_HOURS, canModerate, suspendUser, liftSuspension } = require("../utils/moderation");
+const { escapeRegex } = require("../utils/userSearch");
+
+const ROLES = User.schema.path("role").enumValues;
+const MAX_PAGE_SIZE = 100;
+
+const parseBoolean = (value) => {
+    if (value === "true") return true;
+    if (value === "false") return false;
+    return undefined;
+};
+
+const parseDate = (value) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @desc    List and search users
+ *          Filters: q (name/email), role, emailVerified, twoFactorEnabled, isOnline,
+ *          provider (linked identity), createdAfter, createdBefore; paginated with page/limit
+ * @route   GET /api/admin/users
+ * @access  Private (moderator, admin)
+ */
+exports.listUsers = async (req, res) => {
+    try {
+        const { q, role, provider } = req.query;
+        const filter = {};
+
+        if (q && q.trim()) {
+            const pattern = escapeRegex(q.trim());
+            filter.$or = [
+                { name: { $regex: pattern, $options: "i" } },
+                { email: { $regex: pattern, $options: "i" } }
+            ];
+        }
+
+        if (role) {
+            if (!ROLES.includes(role)) {
+                return res.status(400).json({ message: `Role must be one of: ${ROLES.join(", ")}` });
+            }
+            // Accounts created before roles existed have no value and are regular users
+            filter.role = role === "user" ? { $in: ["user", null] } : role;
+        }
+
+        // Legacy accounts without the field count as verified
+        const emailVerified = parseBoolean(req.query.emailVerified);
+        if (emailVerified !== undefined) {
+            filter.emailVerified = emailVerified ? { $ne: false } : false;
+        }
+
+        const twoFactorEnabled = parseBoolean(req.query.twoFactorEnabled);
+        if (twoFactorEnabled !== undefined) {
+            filter.twoFactorEnabled = twoFactorEnabled ? true : { $ne: true };
+        }
+
+        const isOnline = parseBoolean(req.query.isOnline);
+        if (isOnline !== undefined) {
+            filter.isOnline = isOnline;
+        }
+
+        if (provider) {
+            filter["identities.provider"] = provider;
+        }
+
+        const createdAfter = parseDate(req.query.createdAfter);
+        const createdBefore = parseDate(req.query.createdBefore);
+        if (createdAfter === null || createdBefore === null) {
+            return res.status(400).json({ message: "Invalid date filter" });
+        }
+        if (createdAfter || createdBefore) {
+            filter.createdAt = {};
+            if (createdAfter) filter.createdAt.$gte = createdAfter;
+            if (createdBefore) filter.createdAt.$lte = createdBefore;
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .select("name email role profileImage emailVerified twoFactorEnabled isOnline lastSeen createdAt")
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            User.countDocuments(filter)
+        ]);
+
+        res.json({
+            users,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Error in listUsers:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Get a user's account details and their active sessions
+ * @route   GET /api/admin/users/:id
+ * @access  Private (moderator, admin)
+ */
+exports.getUserDetails = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        // Two-factor secrets are excluded by the schema; the password hash is only used for hasPassword
+        const user = await User.findById(id).lean();
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const hasPassword = !!user.password;
+        delete user.password;
+
+        const sessions = await Session.find({ user: id, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select("deviceName ipAddress userAgent lastUsedAt createdAt expiresAt")
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        res.json({
+            user: { ...user, role: user.role || "user", hasPassword },
+            sessions
+        });
+    } catch (error) {
+        console.error("Error in getUserDetails:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/admin/users/:id/role
+ * @access  Private (admin)
+ */
+exports.updateUserRole = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { role } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${ROLES.join(", ")}` });
+        }
+
+        // Admins can't demote themselves, so there is always at least one admin left
+        if (id === req.user._id.toString()) {
+            return res.status(400).json({ message: "You cannot change your own role" });
+        }
+
+        const user = await User.findByIdAndUpdate(id, { role }, { new: true })
+            .select("name email role");
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        console.log(`Admin ${req.user._id} changed role of user ${user._id} to ${role}`);
+
+        res.json({ message: "Role updated successfully", user });
+    } catch (error) {
+        console.error("Error in updateUserRole:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Suspend a user for durationHours, or indefinitely (ban) when no duration is given
+ * @route   POST /api/admin/users/:id/suspension
+ * @access  Private (moderator, admin)
+ */
+exports.suspendUserAccount = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason, durationHours } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+        if (!trimmedReason || trimmedReason.length > 1000) {
+            return res.status(400).json({ message: "A reason of at most 1000 characters is required" });
+        }
+
+        let until = null;
+        if (durationHours !== undefined && durationHours !== null) {
+            const hours = Number(durationHours);
+            if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_SUSPENSION_HOURS) {
+                return res.status(400).json({ message: `durationHours must be between 0 and ${MAX_SUSPENSION_HOURS}` });
+            }
+            until = new Date(Date.now() + hours * 60 * 60 * 1000);
+        }
+
+        const user = await User.findById(id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        if (!canModerate(req.user, user)) {
+            return res.status(403).json({
+                message: "You do not have permission to moderate this user",
+                code: "FORBIDDEN"
+            });
+        }
+
+        await suspendUser(user, { until, reason: trimmedReason, by: req.user._id }, req.app.get("io"));
+
+        console.log(`Moderator ${req.user._id} suspended user ${user._id} until ${until ? until.toISOString() : "further notice"}`);
+
+        res.json({
+            message: until ? "User suspended" : "User banned",
+            user: {
+                _id: user._id,
+                suspendedAt: user.suspendedAt,
+                suspendedUntil: user.suspendedUntil,
+                suspensionReason: user.suspensionReason
+            }
+        });
+    } catch (error) {
+        console.error("Error in suspendUserAccount:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Lift a user's suspension or ban
+ * @route   DELETE /api/admin/users/:id/suspension
+ * @access  Private (moderator, admin)
+ */
+exports.unsuspendUserAccount = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        const user = await User.findById(id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        if (!canModerate(req.user, user)) {
+            return res.status(403).json({
+                message: "You do not have permission to moderate this user",
+                code: "FORBIDDEN"
+            });
+        }
+        if (!user.suspendedAt) {
+            return res.status(400).json({ message: "User is not suspended" });
+        }
+
+        await liftSuspension(user);
+
+        res.json({ message: "Suspension lifted" });
+    } catch (error) {
+        console.error("Error in unsuspendUserAccount:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
@@ -1,10 +1,39 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const { authenticateAccessToken, getSuspensionDetails } = require("../middleware/authMiddleware");
+const {
+    issueAuthTokens,
+    buildLoginResponse,
+    generateChallengeToken,
+    rotateRefreshToken,
+    revokeUserSessions,
+    createVerificationToken,
+    findVerificationToken,
+    consumeVerificationToken,
+    getClientIp,
+    generateAccessToken
+} = require("../utils/tokenUtils");
+const { validatePassword } = require("../utils/passwordPolicy");
+const {
+    accountLoginLimiter,
+    registrationLimiter,
+    reserveLoginAttempt,
+    settleSuccessfulLogin,
+    sendTooManyRequests
+} = require("../utils/rateLimiter");
+const { sendMail } = require("../utils/mailer");
+const { verificationEmail, passwordResetEmail, passwordSetupEmail } = require("../utils/mailTemplates");
+const { disconnectSessionSockets } = require("../sockets/userSocketManager");
 
-// Function to generate JWT Token
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: "7d" });
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Create a verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+    const token = await createVerificationToken(user._id, "email_verification", EMAIL_VERIFICATION_TTL_MS);
+    await sendMail(verificationEmail(user, token));
 };
 
 // Signup Controller
@@ -12,6 +41,20 @@ exports.registerUser = async (req, res) => {
     try {
         const { name, email, password } = req.body;
 
+        // Every registration attempt counts towards the per-IP limit
+        const clientIp = getClientIp(req);
+        const retryAfter = await registrationLimiter.reserve(clientIp);
+        if (retryAfter) return sendTooManyRequests(res, retryAfter, "Too many registration attempts. Please try again later.");
+
+        if (!name || typeof email !== "string") {
+            return res.status(400).json({ message: "Name and email are required" });
+        }
+
+        const passwordErrors = validatePassword(password, { email });
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+        }
+
         // Check if user already exists
         let user = await User.findOne({ email });
         if (user) return res.status(400).json({ message: "User already exists" });
@@ -20,24 +63,34 @@ exports.registerUser = async (req, res) => {
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
 
-        // Create a new user
-        user = new User({ name, email, password: hashedPassword });
+        // Create a new user; the account stays unverified until the email link is used
+        user = new User({ name, email, password: hashedPassword, emailVerified: false });
         await user.save();
 
-        // Generate Token for automatic login after registration
-        const token = generateToken(user._id);
+        // A mail failure shouldn't fail the registration, the user can request a new link
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error("Error sending verification email:", mailError);
+        }
+
+        // Start a session for automatic login after registration
+        const { token, refreshToken, sessionId } = await issueAuthTokens(user, req);
 
         // Return user data and token (excluding password)
         const userData = {
             _id: user._id,
             name: user.name,
             email: user.email,
-            profileImage: user.profileImage
+            profileImage: user.profileImage,
+            emailVerified: false
         };
 
         res.status(201).json({
             message: "User registered successfully",
             token,
+            refreshToken,
+            sessionId,
             data: userData
         });
     } catch (error) {
@@ -50,44 +103,374 @@ exports.registerUser = async (req, res) => {
 exports.loginUser = async (req, res) => {
     try {
         const { email, password } = req.body;
+        if (typeof email !== "string" || typeof password !== "string") {
+            return res.status(400).json({ message: "Email and password are required" });
+        }
+
+        // Refuse while the account or the client IP is backing off or locked out. Otherwise the
+        // attempt counts as failed until the password is verified, so parallel guesses can't
+        // slip past the limit.
+        const clientIp = getClientIp(req);
+        const retryAfter = await reserveLoginAttempt(email, clientIp);
+        if (retryAfter) return sendTooManyRequests(res, retryAfter, "Too many failed login attempts. Please try again later.");
 
-        // Find user by email
+        // Find user by email and compare password
         const user = await User.findOne({ email });
-        if (!user) return res.status(400).json({ message: "Invalid credentials" });
+        // Accounts created through an identity provider may have no password at all
+        const isMatch = user?.password ? await bcrypt.compare(password, user.password) : false;
+        if (!isMatch) {
+            return res.status(400).json({ message: "Invalid credentials" });
+        }
 
-        // Compare password
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(400).json({ message: "Invalid credentials" });
+        await settleSuccessfulLogin(email, clientIp);
 
-        // Generate Token
-        const token = generateToken(user._id);
+        // Suspended accounts are told why only after the password was verified
+        const suspension = getSuspensionDetails(user);
+        if (suspension) return res.status(403).json(suspension);
 
-        // Return user data and token (excluding password)
-        const userData = {
-            _id: user._id,
-            name: user.name,
-            email: user.email,
-            profileImage: user.profileImage
-        };
+        // With 2FA enabled the password alone isn't enough: hand out a short-lived
+        // challenge token that must be exchanged with a valid code at /2fa/verify
+        if (user.twoFactorEnabled) {
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: generateChallengeToken(user._id)
+            });
+        }
 
-        res.json({ token, userId: user._id, data: userData });
+        // Start a new session for this device and return user data and tokens (excluding password)
+        res.json(await buildLoginResponse(user, req));
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: "Server Error" });
     }
 };
 
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires a valid refresh token)
+ */
+exports.refreshToken = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken || typeof refreshToken !== "string") {
+            return res.status(400).json({ message: "Refresh token is required" });
+        }
+
+        const tokens = await rotateRefreshToken(refreshToken, req);
+        if (!tokens) {
+            return res.status(401).json({ message: "Invalid or expired refresh token" });
+        }
+
+        res.json({
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            sessionId: tokens.sessionId,
+            userId: tokens.userId
+        });
+    } catch (error) {
+        console.error("Error in refreshToken:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Log out the current session
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+exports.logoutUser = async (req, res) => {
+    try {
+        req.session.revokedAt = new Date();
+        await req.session.save();
+
+        // Drop any live sockets opened with this session
+        disconnectSessionSockets(req.session._id, req.app.get('io'), "Logged out");
+
+        res.json({ message: "Logged out successfully" });
+    } catch (error) {
+        console.error("Error in logoutUser:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    List the authenticated user's active sessions (signed-in devices)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+        .select("deviceName ipAddress userAgent lastUsedAt createdAt expiresAt")
+        .sort({ lastUsedAt: -1 });
+
+        res.json({
+            sessions: sessions.map(session => ({
+                _id: session._id,
+                deviceName: session.deviceName,
+                ipAddress: session.ipAddress,
+                userAgent: session.userAgent,
+                lastUsedAt: session.lastUsedAt,
+                createdAt: session.createdAt,
+                expiresAt: session.expiresAt,
+                current: session._id.toString() === req.session._id.toString()
+            }))
+        });
+    } catch (error) {
+        console.error("Error in getSessions:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Revoke one of the authenticated user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid session ID format" });
+        }
+
+        const session = await Session.findOne({ _id: id, user: req.user._id, revokedAt: null });
+        if (!session) {
+            return res.status(404).json({ message: "Session not found" });
+        }
+
+        session.revokedAt = new Date();
+        await session.save();
+
+        disconnectSessionSockets(session._id, req.app.get('io'));
+
+        res.json({ message: "Session revoked successfully" });
+    } catch (error) {
+        console.error("Error in revokeSession:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Verify the account's email address using the emailed token
+ * @route   POST /api/auth/verify-email
+ * @access  Public (requires a valid verification token)
+ */
+exports.verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const verificationToken = await consumeVerificationToken(token, "email_verification");
+        if (!verificationToken) {
+            return res.status(400).json({ message: "Invalid or expired verification link" });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            verificationToken.user,
+            { emailVerified: true, emailVerifiedAt: new Date() },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        res.json({ message: "Email verified successfully" });
+    } catch (error) {
+        console.error("Error in verifyEmail:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Send a new verification email to the authenticated user
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+exports.resendVerificationEmail = async (req, res) => {
+    try {
+        if (req.user.emailVerified !== false) {
+            return res.status(400).json({ message: "Email is already verified" });
+        }
+
+        await sendVerificationEmail(req.user);
+
+        res.json({ message: "Verification email sent" });
+    } catch (error) {
+        console.error("Error in resendVerificationEmail:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email || typeof email !== "string") {
+            return res.status(400).json({ message: "Email is required" });
+        }
+
+        // Always answer the same way so the endpoint can't be used to discover accounts
+        const genericResponse = { message: "If an account exists for this email, a reset link has been sent" };
+
+        const user = await User.findOne({ email });
+        if (!user) return res.json(genericResponse);
+
+        const token = await createVerificationToken(user._id, "password_reset", PASSWORD_RESET_TTL_MS);
+        try {
+            await sendMail(passwordResetEmail(user, token));
+        } catch (mailError) {
+            // An error only for existing accounts would give them away, so just log it
+            console.error("Error sending password reset email:", mailError);
+        }
+
+        res.json(genericResponse);
+    } catch (error) {
+        console.error("Error in forgotPassword:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Set a new password using a reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public (requires a valid reset token)
+ */
+exports.resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!password || typeof password !== "string") {
+            return res.status(400).json({ message: "New password is required" });
+        }
+
+        // Look the token up first so a password rejected by the policy doesn't use it up
+        const pendingToken = await findVerificationToken(token, "password_reset");
+        if (!pendingToken) {
+            return res.status(400).json({ message: "Invalid or expired reset link" });
+        }
+
+        const user = await User.findById(pendingToken.user);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const passwordErrors = validatePassword(password, { email: user.email });
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+        }
+
+        if (!(await consumeVerificationToken(token, "password_reset"))) {
+            return res.status(400).json({ message: "Invalid or expired reset link" });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(password, salt);
+        user.passwordChangedAt = new Date();
+        // Receiving the reset email proves ownership of the address
+        if (user.emailVerified === false) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        // Sign out every device, the old password may have been compromised
+        await revokeUserSessions(user._id, req.app.get('io'), { reason: "Password was reset" });
+
+        // Resetting the password also lifts a login lockout on the account
+        await accountLoginLimiter.reset(user.email);
+
+        res.json({ message: "Password reset successfully. Please log in with your new password." });
+    } catch (error) {
+        console.error("Error in resetPassword:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Change the password of the authenticated user. Accounts without a password are
+ *          emailed a link to set their first one instead.
+ * @route   PUT /api/auth/password
+ * @access  Private
+ */
+exports.changePassword = async (req, res) => {
+    try {
+        const { currentPassword = "", newPassword } = req.body;
+        if (typeof currentPassword !== "string" || typeof newPassword !== "string") {
+            return res.status(400).json({ message: "Current and new password are required" });
+        }
+
+        const user = await User.findById(req.user._id);
+
+        // Accounts that only used external sign-in so far set their first password through
+        // an emailed link, so a stolen session alone can't add one
+        if (!user.password) {
+            const token = await createVerificationToken(user._id, "password_reset", PASSWORD_RESET_TTL_MS);
+            await sendMail(passwordSetupEmail(user, token));
+            return res.status(202).json({
+                message: "We sent you an email with a link to set your password",
+                code: "PASSWORD_SETUP_EMAIL_SENT"
+            });
+        }
+
+        // Wrong current passwords count towards the account's login lockout
+        const retryAfter = await accountLoginLimiter.reserve(user.email);
+        if (retryAfter) return sendTooManyRequests(res, retryAfter, "Too many failed attempts. Please try again later.");
+
+        if (!await bcrypt.compare(currentPassword, user.password)) {
+            return res.status(400).json({ message: "Current password is incorrect" });
+        }
+        await accountLoginLimiter.reset(user.email);
+
+        const passwordErrors = validatePassword(newPassword, { email: user.email });
+        if (await bcrypt.compare(newPassword, user.password)) {
+            passwordErrors.push("New password must be different from the current password");
+        }
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(newPassword, salt);
+        user.passwordChangedAt = new Date();
+        await user.save();
+
+        // Sign out all other devices; this device keeps its session with a fresh access token
+        await revokeUserSessions(user._id, req.app.get('io'), {
+            exceptSessionId: req.session._id,
+            reason: "Password was changed"
+        });
+
+        res.json({
+            message: "Password changed successfully",
+            token: generateAccessToken(user._id, req.session._id)
+        });
+    } catch (error) {
+        console.error("Error in changePassword:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
 // Middleware to Verify JWT Token
-exports.verifyToken = (req, res, next) => {
+exports.verifyToken = async (req, res, next) => {
     const token = req.header("Authorization");
     if (!token) return res.status(401).json({ message: "Access Denied. No token provided." });
 
     try {
-        const verified = jwt.verify(token.replace("Bearer ", ""), process.env.JWT_SECRET);
-        req.user = verified.userId;
-        next();
+        const { user } = await authenticateAccessToken(token.replace("Bearer ", ""));
+        req.user = user._id;
     } catch (error) {
-        console.error("JWT verification error:", error);
-        res.status(401).json({ message: "Invalid Token" });
+        console.error("JWT verification error:", error.message);
+        return res.status(401).json({ message: "Invalid Token" });
     }
+
+    next();
 };
@@ -2,47 +2,213 @@ const mongoose = require("mongoose");
 const Conversation = require("../models/Conversation");
 const Message = require("../models/Message");
 const User = require("../models/User");
+const { hasBlocked, addBlock } = require("../utils/blocking");
+const { PRIVACY_FIELDS, getVisiblePhoto, loadPrivacyProfiles, maskReadReceipts } = require("../utils/privacy");
+const { getUserSockets } = require("../sockets/userSocketManager");
+const { getGroupRole, permissionDenied } = require("../utils/groupPermissions");
+const { getSettingsEntry, formatSettings, visibleHistoryFilter, buildSettingsFilter, sortByPinned } = require("../utils/conversationSettings");
+const { getUnreadCounts, getUnreadSummary } = require("../utils/unreadCounts");
+const { deleteConversationsPermanently } = require("../utils/conversationDeletion");
+const { splitByAddConsent } = require("../utils/groupChat");
+const { getActiveStatus } = require("../utils/customStatus");
+const {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeListCursor,
+    decodeListCursor,
+    afterCursorFilter,
+    loadParticipantPreviews,
+    canSyncSince,
+    getRemovedConversationIds
+} = require("../utils/conversationList");
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 
+// Participant fields loaded for conversations (see formatParticipant)
+const PARTICIPANT_FIELDS = `name username profileImage profileImageSizes bio customStatus timezone ${PRIVACY_FIELDS}`;
+
+// A populated participant as sent to `viewerId`, with the photo hidden if their privacy
+// settings say so and without an expired custom status
+const formatParticipant = (user, viewerId) => ({
+    _id: user._id,
+    name: user.name,
+    username: user.username || null,
+    ...getVisiblePhoto(user, viewerId),
+    bio: user.bio || "",
+    customStatus: getActiveStatus(user),
+    timezone: user.timezone || null
+});
+
+// Conversation fields loaded for the conversation list
+const LIST_FIELDS = {
+    isGroupChat: 1, groupName: 1, groupImage: 1, groupImageSizes: 1, participants: 1,
+    lastMessage: 1, lastActivity: 1, createdAt: 1, updatedAt: 1
+};
+
+// Replace last messages withheld from the user (they blocked the sender) by the latest
+// message they can see. Works on lean conversations populated with +withheldFrom.
+const hideWithheldLastMessages = async (conversations, userId) => {
+    await Promise.all(conversations.map(async conv => {
+        const withheldFrom = conv.lastMessage?.withheldFrom || [];
+        if (conv.lastMessage) delete conv.lastMessage.withheldFrom;
+        if (!withheldFrom.some(id => id.toString() === userId.toString())) return;
+
+        conv.lastMessage = await Message.findOne({
+            conversation: conv._id,
+            withheldFrom: { $ne: userId },
+            ...visibleHistoryFilter(conv, userId)
+        }).sort({ createdAt: -1 }).lean();
+    }));
+};
+
+/**
+ * Hide read receipts on the last messages (lean) the user may not see, like in getMessages.
+ * Only the users whose receipts could show up are loaded: the other person in a direct chat
+ * and the readers listed in a group message's seenBy.
+ */
+const maskLastMessageReceipts = async (conversations, userId) => {
+    const readerIds = (conv) => conv.isGroupChat
+        ? (conv.lastMessage.seenBy || []).map(entry => entry.user)
+        : conv.participants;
+    const withMessage = conversations.filter(conv => conv.lastMessage);
+    const userIds = [...new Set([userId, ...withMessage.flatMap(readerIds)].map(id => id.toString()))];
+
+    const profiles = await loadPrivacyProfiles(userIds);
+    const profilesById = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+    const viewer = profilesById.get(userId.toString());
+
+    withMessage.forEach(conv => {
+        const participants = [userId, ...readerIds(conv)]
+            .map(id => profilesById.get(id.toString()))
+            .filter(Boolean);
+        [conv.lastMessage] = maskReadReceipts([conv.lastMessage], viewer, [...new Set(participants)]);
+    });
+};
+
 /**
- * @desc    Get all conversations for the authenticated user
+ * @desc    Get the user's conversations, latest activity first, with unread and mention counts.
+ *          Paginated with ?limit= and ?before=<nextCursor>; the first page starts with the
+ *          pinned conversations. ?changedSince=<date> only returns conversations changed since
+ *          then, plus the ids of ones removed from the list: hidden, left, removed from or
+ *          deleted (incremental sync; pass the returned syncedAt next time, at most 30 days
+ *          old). Archived conversations are only listed with
+ *          ?archived=true (or all); ?muted, ?pinned and ?unread (true/false) narrow the list.
  * @route   GET /api/conversations
  * @access  Private
  */
 exports.getConversations = async (req, res) => {
     try {
         const userId = req.user._id;
+        const { before, changedSince } = req.query;
+        const syncedAt = new Date();
 
-        const conversations = await Conversation.find({
-            participants: userId,
-            visibleTo: userId  // Only show conversations that are visible to this user
-        })
-        .populate('participants', 'name email profileImage')
-        .populate('lastMessage')
-        .sort({ lastActivity: -1 });
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        let cursor = null;
+        if (before) {
+            cursor = decodeListCursor(before);
+            if (!cursor) {
+                return res.status(400).json({ message: "Invalid cursor" });
+            }
+        }
+
+        let since = null;
+        if (changedSince) {
+            since = new Date(changedSince);
+            if (isNaN(since.getTime())) {
+                return res.status(400).json({ message: "changedSince must be a valid date" });
+            }
+            // Older removals are forgotten, so the client has to load the whole list again
+            if (!canSyncSince(since)) {
+                return res.status(400).json({ message: "changedSince is too old, reload the full list", code: "SYNC_TOO_OLD" });
+            }
+        }
+
+        // An incremental sync covers archived conversations too, unless asked otherwise
+        const filters = { ...req.query };
+        if (since && filters.archived === undefined) filters.archived = "all";
+
+        // Pinned conversations head the first page instead of being paged
+        const pinnedFirst = filters.pinned === undefined && !since;
+
+        const listQuery = (settingsFilters, extraConditions = []) => {
+            const conditions = [...buildSettingsFilter(userId, settingsFilters), ...extraConditions];
+            return Conversation.find({
+                participants: userId,
+                visibleTo: userId,  // Only show conversations that are visible to this user
+                ...(since && { updatedAt: { $gt: since } }),
+                ...(conditions.length > 0 && { $and: conditions })
+            })
+                // Only the caller's own settings entry
+                .select({ ...LIST_FIELDS, participantSettings: { $elemMatch: { user: userId } } })
+                .populate({ path: 'lastMessage', select: '+withheldFrom' })
+                .lean();
+        };
+
+        const page = await listQuery(
+            pinnedFirst ? { ...filters, pinned: "false" } : filters,
+            cursor ? [afterCursorFilter(cursor)] : []
+        )
+            .sort({ lastActivity: -1, _id: -1 })
+            .limit(limit + 1);
+
+        const hasMore = page.length > limit;
+        if (hasMore) page.pop();
+
+        const pinned = pinnedFirst && !cursor
+            ? sortByPinned(await listQuery({ ...filters, pinned: "true" }), userId)
+            : [];
+        const conversations = [...pinned, ...page];
+        await hideWithheldLastMessages(conversations, userId);
+        await maskLastMessageReceipts(conversations, userId);
+
+        const [unreadCounts, participantPreviews] = await Promise.all([
+            getUnreadCounts(userId, conversations),
+            loadParticipantPreviews(conversations, userId)
+        ]);
 
         // Format conversations for frontend
-        const formattedConversations = conversations.map(conv => {
-            const otherParticipants = conv.participants.filter(
-                p => p._id.toString() !== userId.toString()
-            );
+        let formattedConversations = conversations.map(conv => {
+            const { preview, count } = participantPreviews.get(conv._id.toString());
+            // The last message is hidden once the user cleared the history
+            const clearedAt = getSettingsEntry(conv, userId)?.clearedAt;
+            const lastMessage = clearedAt && conv.lastMessage?.createdAt <= clearedAt ? null : conv.lastMessage;
 
             return {
                 _id: conv._id,
                 isGroupChat: conv.isGroupChat,
-                name: conv.isGroupChat ? conv.groupName : otherParticipants[0]?.name,
-                image: conv.isGroupChat ? conv.groupImage : otherParticipants[0]?.profileImage,
-                participants: conv.participants,
-                lastMessage: conv.lastMessage,
+                name: conv.isGroupChat ? conv.groupName : preview[0]?.name,
+                image: conv.isGroupChat ? conv.groupImage : preview[0]?.profileImage,
+                // A few participants only; GET /api/conversations/:id/members lists everyone
+                participants: preview,
+                participantCount: count,
+                lastMessage,
                 lastActivity: conv.lastActivity,
+                settings: formatSettings(conv, userId),
+                ...unreadCounts.get(conv._id.toString()),
                 createdAt: conv.createdAt,
                 updatedAt: conv.updatedAt
             };
         });
 
-        res.json({ conversations: formattedConversations });
+        // Unread: unread messages or a manual unread mark (applied per page, so pages may be shorter)
+        if (filters.unread === "true" || filters.unread === "false") {
+            const wantUnread = filters.unread === "true";
+            formattedConversations = formattedConversations.filter(conv =>
+                (conv.unreadCount > 0 || conv.settings.markedUnread) === wantUnread
+            );
+        }
+
+        // Conversations that left the user's list since the last sync
+        const removedIds = since && !cursor ? await getRemovedConversationIds(userId, since) : null;
+
+        res.json({
+            conversations: formattedConversations,
+            nextCursor: hasMore ? encodeListCursor(page[page.length - 1]) : null,
+            syncedAt,
+            ...(removedIds && { removedIds })
+        });
     } catch (error) {
         console.error("Error in getConversations:", error);
         res.status(500).json({ message: "Server Error", error: error.message });
@@ -50,7 +216,24 @@ exports.getConversations = async (req, res) => {
 };
 
 /**
- * @desc    Create a new conversation or get existing one
+ * @desc    Unread totals for badges: { totalUnread, unreadConversations, mentionCount }
+ *          (muted and archived conversations only count towards mentions)
+ * @route   GET /api/conversations/unread
+ * @access  Private
+ */
+exports.getUnreadTotals = async (req, res) => {
+    try {
+        const { summary } = await getUnreadSummary(req.user._id);
+        res.json(summary);
+    } catch (error) {
+        console.error("Error in getUnreadTotals:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Create a new conversation or get existing one. Groups only get the participants
+ *          who have the caller in their contacts; the others are returned as notAdded.
  * @route   POST /api/conversations
  * @access  Private
  */
@@ -64,27 +247,61 @@ exports.createConversation = async (req, res) => {
         }
 
         let participants = [userId];
+        // Group members left out because the caller isn't in their contacts
+        let notAdded = [];
         
         if (isGroupChat) {
-            // For group chats, participantId can be an array
-            const additionalParticipants = Array.isArray(participantId) ? participantId : [participantId];
-            participants = [...participants, ...additionalParticipants];
-            
             if (!groupName) {
                 return res.status(400).json({ message: "Group name is required for group chats" });
             }
+
+            // For group chats, participantId can be an array
+            const additionalIds = [...new Set([].concat(participantId ?? []).map(String))]
+                .filter(id => id !== userId.toString());
+            if (!additionalIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+                return res.status(400).json({ message: "Invalid participant ID format" });
+            }
+
+            const users = await User.find({ _id: { $in: additionalIds } }).select("name contacts");
+            if (users.length !== additionalIds.length) {
+                return res.status(400).json({ message: "One or more participants not found" });
+            }
+
+            const blockedUser = users.find(user => hasBlocked(req.user, user._id));
+            if (blockedUser) {
+                return res.status(403).json({
+                    message: `You have blocked ${blockedUser.name}. Unblock them to add them to a group.`,
+                    code: "USER_BLOCKED"
+                });
+            }
+
+            // Same consent rule as adding members later (see utils/groupChat.js)
+            const { addable, notAllowed } = splitByAddConsent(req.user, users);
+            participants = [...participants, ...addable.map(user => user._id)];
+            notAdded = notAllowed.map(user => user._id);
         } else {
+            if (hasBlocked(req.user, participantId)) {
+                return res.status(403).json({
+                    message: "You have blocked this user. Unblock them to start a conversation.",
+                    code: "USER_BLOCKED"
+                });
+            }
+            // If the other user blocked the caller, the conversation is still created as usual so
+            // the response gives nothing away; it stays hidden from them and sendMessage withholds
+            // every message sent in it.
+
             // For direct messages, check if conversation already exists
             participants.push(participantId);
             
             const existingConversation = await Conversation.findOne({
                 participants: { $all: participants, $size: 2 },
                 isGroupChat: false
-            }).populate('participants', 'name email profileImage');
+            }).populate('participants', PARTICIPANT_FIELDS);
 
             if (existingConversation) {
                 // Format existing conversation for frontend
-                const otherParticipants = existingConversation.participants.filter(
+                const participantProfiles = existingConversation.participants.map(p => formatParticipant(p, userId));
+                const otherParticipants = participantProfiles.filter(
                     p => p._id.toString() !== userId.toString()
                 );
 
@@ -93,7 +310,7 @@ exports.createConversation = async (req, res) => {
                     isGroupChat: existingConversation.isGroupChat,
                     name: existingConversation.isGroupChat ? existingConversation.groupName : otherParticipants[0]?.name,
                     image: existingConversation.isGroupChat ? existingConversation.groupImage : otherParticipants[0]?.profileImage,
-                    participants: existingConversation.participants,
+                    participants: participantProfiles,
                     lastMessage: existingConversation.lastMessage,
                     lastActivity: existingConversation.lastActivity,
                     createdAt: existingConversation.createdAt,
@@ -114,6 +331,8 @@ exports.createConversation = async (req, res) => {
             participants,
             isGroupChat,
             groupName: isGroupChat ? groupName : null,
+            // The creator owns the group (see utils/groupPermissions.js)
+            owner: isGroupChat ? userId : undefined,
             initiatedBy: userId,
             // Initially, only the initiator can see the conversation
             // Other participants will see it only after first message is sent
@@ -124,10 +343,11 @@ exports.createConversation = async (req, res) => {
         await conversation.save();
 
         const populatedConversation = await Conversation.findById(conversation._id)
-            .populate('participants', 'name email profileImage');
+            .populate('participants', PARTICIPANT_FIELDS);
 
         // Format conversation for frontend (same as in getConversations)
-        const otherParticipants = populatedConversation.participants.filter(
+        const participantProfiles = populatedConversation.participants.map(p => formatParticipant(p, userId));
+        const otherParticipants = participantProfiles.filter(
             p => p._id.toString() !== userId.toString()
         );
 
@@ -136,7 +356,7 @@ exports.createConversation = async (req, res) => {
             isGroupChat: populatedConversation.isGroupChat,
             name: populatedConversation.isGroupChat ? populatedConversation.groupName : otherParticipants[0]?.name,
             image: populatedConversation.isGroupChat ? populatedConversation.groupImage : otherParticipants[0]?.profileImage,
-            participants: populatedConversation.participants,
+            participants: participantProfiles,
             lastMessage: populatedConversation.lastMessage,
             lastActivity: populatedConversation.lastActivity,
             createdAt: populatedConversation.createdAt,
@@ -145,7 +365,8 @@ exports.createConversation = async (req, res) => {
 
         res.status(201).json({ 
             message: "Conversation created successfully", 
-            conversation: formattedConversation 
+            conversation: formattedConversation,
+            ...(isGroupChat && { notAdded })
         });
     } catch (error) {
         console.error("Error in createConversation:", error);
@@ -170,13 +391,19 @@ exports.getConversationById = async (req, res) => {
         const conversation = await Conversation.findOne({
             _id: id,
             participants: userId
-        }).populate('participants', 'name email profileImage');
+        }).populate('participants', PARTICIPANT_FIELDS);
 
         if (!conversation) {
             return res.status(404).json({ message: "Conversation not found" });
         }
 
-        res.json({ conversation });
+        res.json({
+            conversation: {
+                ...conversation.toJSON(),
+                participants: conversation.participants.map(p => formatParticipant(p, userId)),
+                settings: formatSettings(conversation, userId)
+            }
+        });
     } catch (error) {
         console.error("Error in getConversationById:", error);
         res.status(500).json({ message: "Server Error", error: error.message });
@@ -207,10 +434,12 @@ exports.getChatStatistics = async (req, res) => {
             return res.status(404).json({ message: "Conversation not found" });
         }
 
-        // Get message statistics (exclude deleted messages)
+        // Get message statistics (exclude deleted and cleared messages)
         const messages = await Message.find({
             conversation: id,
-            isDeleted: false
+            isDeleted: false,
+            withheldFrom: { $ne: userId },
+            ...visibleHistoryFilter(conversation, userId)
         })
             .populate('sender', 'name')
             .sort({ createdAt: 1 });
@@ -297,10 +526,12 @@ exports.exportChat = async (req, res) => {
             return res.status(404).json({ message: "Conversation not found" });
         }
 
-        // Get all non-deleted messages
+        // Get all non-deleted messages the user hasn't cleared
         const messages = await Message.find({
             conversation: id,
-            isDeleted: false
+            isDeleted: false,
+            withheldFrom: { $ne: userId },
+            ...visibleHistoryFilter(conversation, userId)
         })
             .populate('sender', 'name')
             .sort({ createdAt: 1 });
@@ -355,7 +586,7 @@ exports.exportChat = async (req, res) => {
 };
 
 /**
- * @desc    Delete a conversation
+ * @desc    Delete a conversation for everyone (groups can only be deleted by their owner)
  * @route   DELETE /api/conversations/:id
  * @access  Private
  */
@@ -378,15 +609,173 @@ exports.deleteConversation = async (req, res) => {
             return res.status(404).json({ message: "Conversation not found" });
         }
 
-        // Delete all messages in the conversation
-        await Message.deleteMany({ conversation: id });
+        if (conversation.isGroupChat && getGroupRole(conversation, userId) !== "owner") {
+            return res.status(403).json(permissionDenied("Only the group owner can delete the group. Leave it instead."));
+        }
+
+        // Messages, invite links and attached files go with it
+        await deleteConversationsPermanently([conversation._id]);
 
-        // Delete the conversation
-        await Conversation.findByIdAndDelete(id);
+        const io = req.app.get('io');
+        if (io) {
+            io.to(conversation._id.toString()).emit("conversationDeleted", {
+                conversationId: conversation._id.toString(),
+                deletedBy: userId
+            });
+            io.in(conversation._id.toString()).socketsLeave(conversation._id.toString());
+        }
 
         res.json({ message: "Conversation deleted successfully" });
     } catch (error) {
         console.error("Error in deleteConversation:", error);
         res.status(500).json({ message: "Server Error", error: error.message });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get pending message requests (direct chats started by users who aren't contacts)
+ * @route   GET /api/conversations/requests
+ * @access  Private
+ */
+exports.getMessageRequests = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const conversations = await Conversation.find({ requestedTo: userId })
+            .populate('participants', PARTICIPANT_FIELDS)
+            .sort({ lastActivity: -1 });
+
+        // The request preview is the latest message from the requester
+        const requests = await Promise.all(conversations.map(async conv => {
+            const requester = conv.participants.find(p => p._id.toString() !== userId.toString());
+            const latestMessage = await Message.findOne({
+                conversation: conv._id,
+                withheldFrom: { $ne: userId }
+            }).sort({ createdAt: -1 });
+
+            return {
+                _id: conv._id,
+                requester: requester && formatParticipant(requester, userId),
+                lastMessage: latestMessage,
+                lastActivity: conv.lastActivity,
+                createdAt: conv.createdAt
+            };
+        }));
+
+        res.json({ requests });
+    } catch (error) {
+        console.error("Error in getMessageRequests:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+// Load a conversation where the user has a pending request, or send a 404
+const findPendingRequest = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ message: "Invalid conversation ID" });
+        return null;
+    }
+
+    const conversation = await Conversation.findOne({ _id: id, requestedTo: req.user._id });
+    if (!conversation) {
+        res.status(404).json({ message: "Message request not found" });
+        return null;
+    }
+    return conversation;
+};
+
+/**
+ * @desc    Accept a message request: the conversation moves to the conversation list
+ *          and the requester is added to the user's contacts
+ * @route   POST /api/conversations/requests/:id/accept
+ * @access  Private
+ */
+exports.acceptMessageRequest = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const conversation = await findPendingRequest(req, res);
+        if (!conversation) return;
+
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            { $pull: { requestedTo: userId }, $addToSet: { visibleTo: userId } }
+        );
+
+        const requesterId = conversation.participants.find(p => p.toString() !== userId.toString());
+        if (requesterId) {
+            await User.updateOne({ _id: userId }, { $addToSet: { contacts: requesterId } });
+        }
+
+        // Join the user's devices to the room so they get new messages live
+        const io = req.app.get('io');
+        if (io) {
+            getUserSockets(userId.toString(), io).forEach(socket => {
+                socket.join(conversation._id.toString());
+                socket.emit("newConversationVisible", {
+                    conversationId: conversation._id.toString(),
+                    isNewlyVisible: true,
+                    message: "New conversation is now visible"
+                });
+            });
+        }
+
+        res.json({ message: "Message request accepted", conversationId: conversation._id });
+    } catch (error) {
+        console.error("Error in acceptMessageRequest:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Decline a message request. The requester isn't told; their later messages
+ *          don't bring the request back.
+ * @route   POST /api/conversations/requests/:id/decline
+ * @access  Private
+ */
+exports.declineMessageRequest = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const conversation = await findPendingRequest(req, res);
+        if (!conversation) return;
+
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            { $pull: { requestedTo: userId }, $addToSet: { declinedBy: userId } }
+        );
+
+        res.json({ message: "Message request declined" });
+    } catch (error) {
+        console.error("Error in declineMessageRequest:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Decline a message request and block the requester
+ * @route   POST /api/conversations/requests/:id/block
+ * @access  Private
+ */
+exports.blockMessageRequest = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const conversation = await findPendingRequest(req, res);
+        if (!conversation) return;
+
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            { $pull: { requestedTo: userId }, $addToSet: { declinedBy: userId } }
+        );
+
+        const requesterId = conversation.participants.find(p => p.toString() !== userId.toString());
+        if (requesterId) {
+            await addBlock(req.app.get('io'), userId, requesterId);
+        }
+
+        res.json({ message: "Message request declined and user blocked" });
+    } catch (error) {
+        console.error("Error in blockMessageRequest:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
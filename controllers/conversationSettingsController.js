@@ -0,0 +1,246 @@
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const {
+    MAX_PINNED_CONVERSATIONS,
+    MUTED_FOREVER,
+    getSettingsEntry,
+    formatSettings,
+    updateSettings,
+    emitSettingsUpdated,
+    countPinned
+} = require("../utils/conversationSettings");
+const { pushUnreadCounts, markConversationRead } = require("../utils/unreadCounts");
+const { emitToUser } = require("../sockets/userSocketManager");
+
+// Apply the changes to the caller's settings for the conversation and send the result
+const saveSettings = async (req, res, changes, message) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid conversation ID" });
+    }
+
+    const conversation = await updateSettings(id, userId, changes);
+    if (!conversation) {
+        return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    emitSettingsUpdated(req.app.get("io"), userId, conversation);
+    // Muting, archiving and unread marks change the badge totals
+    await pushUnreadCounts(req.app.get("io"), userId, conversation._id);
+    res.json({ message, settings: formatSettings(conversation, userId) });
+};
+
+/**
+ * @desc    Mute a conversation. Body: { until } (date) or { durationMinutes }; neither mutes it until unmuted
+ * @route   PUT /api/conversations/:id/mute
+ * @access  Private
+ */
+exports.muteConversation = async (req, res) => {
+    try {
+        const { until, durationMinutes } = req.body;
+
+        let mutedUntil = MUTED_FOREVER;
+        if (durationMinutes !== undefined && durationMinutes !== null) {
+            const minutes = Number(durationMinutes);
+            if (!Number.isFinite(minutes) || minutes <= 0) {
+                return res.status(400).json({ message: "durationMinutes must be a positive number" });
+            }
+            mutedUntil = new Date(Date.now() + minutes * 60 * 1000);
+        } else if (until) {
+            mutedUntil = new Date(until);
+            if (isNaN(mutedUntil.getTime()) || mutedUntil <= new Date()) {
+                return res.status(400).json({ message: "until must be a date in the future" });
+            }
+        }
+
+        await saveSettings(req, res, { mutedUntil }, "Conversation muted");
+    } catch (error) {
+        console.error("Error in muteConversation:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Unmute a conversation
+ * @route   DELETE /api/conversations/:id/mute
+ * @access  Private
+ */
+exports.unmuteConversation = async (req, res) => {
+    try {
+        await saveSettings(req, res, { mutedUntil: null }, "Conversation unmuted");
+    } catch (error) {
+        console.error("Error in unmuteConversation:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Archive a conversation (archived conversations are not pinned)
+ * @route   PUT /api/conversations/:id/archive
+ * @access  Private
+ */
+exports.archiveConversation = async (req, res) => {
+    try {
+        await saveSettings(req, res, { archivedAt: new Date(), pinnedAt: null }, "Conversation archived");
+    } catch (error) {
+        console.error("Error in archiveConversation:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Move a conversation out of the archive
+ * @route   DELETE /api/conversations/:id/archive
+ * @access  Private
+ */
+exports.unarchiveConversation = async (req, res) => {
+    try {
+        await saveSettings(req, res, { archivedAt: null }, "Conversation unarchived");
+    } catch (error) {
+        console.error("Error in unarchiveConversation:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Pin a conversation to the top of the list (pinning an archived one unarchives it)
+ * @route   PUT /api/conversations/:id/pin
+ * @access  Private
+ */
+exports.pinConversation = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid conversation ID" });
+        }
+
+        const conversation = await Conversation.findOne({ _id: id, participants: userId }).select("participantSettings");
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+
+        // Already pinned: nothing to do
+        if (getSettingsEntry(conversation, userId)?.pinnedAt) {
+            return res.json({ message: "Conversation pinned", settings: formatSettings(conversation, userId) });
+        }
+
+        if (await countPinned(userId) >= MAX_PINNED_CONVERSATIONS) {
+            return res.status(400).json({
+                message: `You can pin up to ${MAX_PINNED_CONVERSATIONS} conversations`,
+                code: "PIN_LIMIT_REACHED"
+            });
+        }
+
+        await saveSettings(req, res, { pinnedAt: new Date(), archivedAt: null }, "Conversation pinned");
+    } catch (error) {
+        console.error("Error in pinConversation:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Unpin a conversation
+ * @route   DELETE /api/conversations/:id/pin
+ * @access  Private
+ */
+exports.unpinConversation = async (req, res) => {
+    try {
+        await saveSettings(req, res, { pinnedAt: null }, "Conversation unpinned");
+    } catch (error) {
+        console.error("Error in unpinConversation:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Mark a conversation as unread; cleared when the user reads it
+ * @route   PUT /api/conversations/:id/unread
+ * @access  Private
+ */
+exports.markConversationUnread = async (req, res) => {
+    try {
+        await saveSettings(req, res, { markedUnread: true }, "Conversation marked as unread");
+    } catch (error) {
+        console.error("Error in markConversationUnread:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Remove the unread mark from a conversation
+ * @route   DELETE /api/conversations/:id/unread
+ * @access  Private
+ */
+exports.clearConversationUnread = async (req, res) => {
+    try {
+        await saveSettings(req, res, { markedUnread: false }, "Conversation marked as read");
+    } catch (error) {
+        console.error("Error in clearConversationUnread:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Clear the conversation history for the caller only; other participants keep their messages
+ * @route   POST /api/conversations/:id/clear
+ * @access  Private
+ */
+exports.clearConversationHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid conversation ID" });
+        }
+
+        // Cleared messages also count as read
+        const clearedAt = new Date();
+        await markConversationRead(req.app.get("io"), id, req.user._id, clearedAt);
+
+        await saveSettings(req, res, { clearedAt }, "Conversation history cleared");
+    } catch (error) {
+        console.error("Error in clearConversationHistory:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Remove a conversation from the caller's list and clear its history for them.
+ *          It comes back when a new message arrives.
+ * @route   POST /api/conversations/:id/hide
+ * @access  Private
+ */
+exports.hideConversation = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid conversation ID" });
+        }
+
+        const conversation = await Conversation.findOne({ _id: id, participants: userId }).select("participants visibleTo");
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+
+        // Conversations from before visibleTo existed are visible to everyone; track it from now on
+        const visibleTo = conversation.visibleTo.length > 0 ? conversation.visibleTo : conversation.participants;
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            { visibleTo: visibleTo.filter(p => p.toString() !== userId.toString()) }
+        );
+
+        const clearedAt = new Date();
+        await markConversationRead(req.app.get("io"), conversation._id, userId, clearedAt);
+
+        emitToUser(userId, req.app.get("io"), "conversationHidden", { conversationId: conversation._id.toString() });
+        await saveSettings(req, res, { clearedAt, pinnedAt: null, archivedAt: null }, "Conversation removed from your list");
+    } catch (error) {
+        console.error("Error in hideConversation:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
@@ -0,0 +1,947 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const User = require("../models/User");
+const GroupInvite = require("../models/GroupInvite");
+const { emitToUser } = require("../sockets/userSocketManager");
+const { processProfileImage } = require("../utils/avatar");
+const { removeUploadedFiles } = require("../utils/uploadFiles");
+const {
+    MAX_GROUP_NAME_LENGTH,
+    describeUsers,
+    leaveConversationRoom,
+    postSystemMessage,
+    splitByAddConsent,
+    addMembersToGroup
+} = require("../utils/groupChat");
+const { hasBlocked } = require("../utils/blocking");
+const { PRIVACY_FIELDS, getVisiblePhoto } = require("../utils/privacy");
+const {
+    GROUP_PERMISSIONS,
+    PERMISSION_LEVELS,
+    getOwnerId,
+    getGroupRole,
+    isGroupAdmin,
+    hasGroupPermission,
+    pickNextOwner,
+    getGroupPermissions,
+    permissionDenied
+} = require("../utils/groupPermissions");
+const { deleteConversationsPermanently } = require("../utils/conversationDeletion");
+const { recordConversationRemovals } = require("../utils/conversationList");
+
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+const MAX_INVITE_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_INVITE_USES = 1000;
+
+// Load a group conversation the user belongs to, or send a 400/404
+const findGroup = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ message: "Invalid conversation ID" });
+        return null;
+    }
+
+    const conversation = await Conversation.findOne({ _id: id, participants: req.user._id });
+    if (!conversation) {
+        res.status(404).json({ message: "Conversation not found" });
+        return null;
+    }
+    if (!conversation.isGroupChat) {
+        res.status(400).json({ message: "This action is only available in group chats" });
+        return null;
+    }
+    return conversation;
+};
+
+// Every stored size of the group picture
+const groupImageUrls = (conversation) => [
+    conversation.groupImage,
+    ...Object.values(conversation.groupImageSizes?.toObject?.() || conversation.groupImageSizes || {})
+];
+
+// Group info sent with "groupUpdated" events
+const groupInfo = (conversation, actor) => ({
+    conversationId: conversation._id.toString(),
+    groupName: conversation.groupName,
+    groupImage: conversation.groupImage,
+    groupImageSizes: conversation.groupImageSizes,
+    permissions: getGroupPermissions(conversation),
+    updatedBy: { _id: actor._id, name: actor.name }
+});
+
+// Tell the group that a member's role changed
+const emitRoleChange = (io, conversation, userId, role) => {
+    if (!io) return;
+    io.to(conversation._id.toString()).emit("groupRoleChanged", {
+        conversationId: conversation._id.toString(),
+        userId: userId.toString(),
+        role
+    });
+};
+
+/**
+ * @desc    List the members of a group with their roles, and the group permissions
+ * @route   GET /api/conversations/:id/members
+ * @access  Private (group members)
+ */
+exports.getGroupMembers = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        await conversation.populate("participants", `name username profileImage profileImageSizes ${PRIVACY_FIELDS}`);
+
+        res.json({
+            members: conversation.participants.map(user => ({
+                _id: user._id,
+                name: user.name,
+                username: user.username || null,
+                ...getVisiblePhoto(user, req.user._id),
+                role: getGroupRole(conversation, user._id)
+            })),
+            permissions: getGroupPermissions(conversation),
+            myRole: getGroupRole(conversation, req.user._id)
+        });
+    } catch (error) {
+        console.error("Error in getGroupMembers:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Add members to a group. Only users who have the caller in their contacts are added;
+ *          the others are returned as notAdded.
+ * @route   POST /api/conversations/:id/members
+ * @access  Private (group members with the addMembers permission)
+ */
+exports.addGroupMembers = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!hasGroupPermission(conversation, req.user._id, "addMembers")) {
+            return res.status(403).json(permissionDenied("Only admins can add members to this group"));
+        }
+
+        const { userIds, userId } = req.body;
+        const requestedIds = [...new Set([].concat(userIds ?? userId ?? []).map(String))];
+        if (requestedIds.length === 0) {
+            return res.status(400).json({ message: "userIds is required" });
+        }
+        if (!requestedIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        const users = await User.find({ _id: { $in: requestedIds } }).select("name contacts");
+        if (users.length !== requestedIds.length) {
+            return res.status(400).json({ message: "One or more users not found" });
+        }
+
+        const blockedUser = users.find(user => hasBlocked(req.user, user._id));
+        if (blockedUser) {
+            return res.status(403).json({
+                message: `You have blocked ${blockedUser.name}. Unblock them to add them to a group.`,
+                code: "USER_BLOCKED"
+            });
+        }
+
+        const memberIds = conversation.participants.map(p => p.toString());
+        const candidates = users.filter(user => !memberIds.includes(user._id.toString()));
+        if (candidates.length === 0) {
+            return res.status(400).json({ message: "No new members to add" });
+        }
+
+        // Only users who have the caller in their contacts are added
+        const { addable, notAllowed } = splitByAddConsent(req.user, candidates);
+        if (addable.length === 0) {
+            return res.status(403).json({
+                message: "Users can only be added to groups by people in their contacts",
+                code: "NOT_A_CONTACT",
+                notAdded: notAllowed.map(user => user._id)
+            });
+        }
+
+        const members = await addMembersToGroup(req.app.get("io"), conversation, addable, req.user, {
+            content: `${req.user.name} added ${describeUsers(addable)}`,
+            action: "members_added"
+        });
+
+        res.json({ message: "Members added", added: members, notAdded: notAllowed.map(user => user._id) });
+    } catch (error) {
+        console.error("Error in addGroupMembers:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Remove a member from a group. Admins can remove members; only the owner can remove admins.
+ * @route   DELETE /api/conversations/:id/members/:userId
+ * @access  Private (group admins)
+ */
+exports.removeGroupMember = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+        if (userId === req.user._id.toString()) {
+            return res.status(400).json({ message: "Use leave to leave the group" });
+        }
+        if (!conversation.participants.some(p => p.toString() === userId)) {
+            return res.status(404).json({ message: "User is not a member of this group" });
+        }
+
+        const callerRole = getGroupRole(conversation, req.user._id);
+        const memberRole = getGroupRole(conversation, userId);
+        if (callerRole === "member") {
+            return res.status(403).json(permissionDenied("Only admins can remove members"));
+        }
+        if (memberRole === "owner" || (memberRole === "admin" && callerRole !== "owner")) {
+            return res.status(403).json(permissionDenied("Only the group owner can remove admins"));
+        }
+
+        const member = await User.findById(userId).select("name");
+        const io = req.app.get("io");
+        const conversationId = conversation._id.toString();
+
+        // Posted while the member is still in the room, so they see why the chat stopped
+        await postSystemMessage(io, conversation._id, req.user, `${req.user.name} removed ${member?.name || "a member"}`, {
+            action: "member_removed",
+            targets: [userId]
+        });
+
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            { $pull: { participants: userId, visibleTo: userId, requestedTo: userId, declinedBy: userId, admins: userId } }
+        );
+        await recordConversationRemovals([conversation._id], [userId]);
+
+        leaveConversationRoom(io, [userId], conversationId);
+        emitToUser(userId, io, "removedFromGroup", {
+            conversationId,
+            removedBy: { _id: req.user._id, name: req.user.name }
+        });
+        if (io) io.to(conversationId).emit("groupMemberRemoved", { conversationId, userId, removedBy: req.user._id });
+
+        res.json({ message: "Member removed" });
+    } catch (error) {
+        console.error("Error in removeGroupMember:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Leave a group. The group is deleted when its last member leaves;
+ *          when the owner leaves, ownership passes to the first admin or the longest-standing member.
+ * @route   POST /api/conversations/:id/leave
+ * @access  Private (group members)
+ */
+exports.leaveGroup = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        const userId = req.user._id;
+        const io = req.app.get("io");
+        const conversationId = conversation._id.toString();
+
+        leaveConversationRoom(io, [userId], conversationId);
+        // Keep the user's other devices in sync
+        emitToUser(userId, io, "removedFromGroup", { conversationId, removedBy: null });
+
+        if (conversation.participants.length <= 1) {
+            await deleteConversationsPermanently([conversation._id]);
+            return res.json({ message: "You left the group" });
+        }
+
+        const wasOwner = getGroupRole(conversation, userId) === "owner";
+        const nextOwnerId = wasOwner ? pickNextOwner(conversation, userId) : null;
+
+        const update = {
+            $pull: { participants: userId, visibleTo: userId, requestedTo: userId, declinedBy: userId, admins: userId }
+        };
+        if (nextOwnerId) update.$set = { owner: nextOwnerId };
+        await Conversation.updateOne({ _id: conversation._id }, update);
+        await recordConversationRemovals([conversation._id], [userId]);
+        if (nextOwnerId) {
+            // The new owner no longer needs to be listed as an admin
+            await Conversation.updateOne({ _id: conversation._id }, { $pull: { admins: nextOwnerId } });
+        }
+
+        if (io) io.to(conversationId).emit("groupMemberLeft", { conversationId, userId });
+        await postSystemMessage(io, conversation._id, req.user, `${req.user.name} left`, {
+            action: "member_left",
+            targets: [userId]
+        });
+
+        if (nextOwnerId) {
+            const nextOwner = await User.findById(nextOwnerId).select("name");
+            emitRoleChange(io, conversation, nextOwnerId, "owner");
+            await postSystemMessage(io, conversation._id, req.user, `${nextOwner?.name || "A member"} is now the group owner`, {
+                action: "owner_changed",
+                targets: [nextOwnerId]
+            });
+        }
+
+        res.json({ message: "You left the group" });
+    } catch (error) {
+        console.error("Error in leaveGroup:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Rename a group
+ * @route   PUT /api/conversations/:id/name
+ * @access  Private (group members with the editInfo permission)
+ */
+exports.renameGroup = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!hasGroupPermission(conversation, req.user._id, "editInfo")) {
+            return res.status(403).json(permissionDenied("Only admins can edit the group info"));
+        }
+
+        const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+        if (!name) {
+            return res.status(400).json({ message: "Group name is required" });
+        }
+        if (name.length > MAX_GROUP_NAME_LENGTH) {
+            return res.status(400).json({ message: `Group name cannot be longer than ${MAX_GROUP_NAME_LENGTH} characters` });
+        }
+        if (name === conversation.groupName) {
+            return res.json({ message: "Group renamed", groupName: name });
+        }
+
+        conversation.groupName = name;
+        await conversation.save();
+
+        const io = req.app.get("io");
+        if (io) io.to(conversation._id.toString()).emit("groupUpdated", groupInfo(conversation, req.user));
+        await postSystemMessage(io, conversation._id, req.user, `${req.user.name} renamed the group to "${name}"`, {
+            action: "group_renamed"
+        });
+
+        res.json({ message: "Group renamed", groupName: name });
+    } catch (error) {
+        console.error("Error in renameGroup:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Set the group picture (multipart field "groupImage")
+ * @route   PUT /api/conversations/:id/image
+ * @access  Private (group members with the editInfo permission)
+ */
+exports.updateGroupImage = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!hasGroupPermission(conversation, req.user._id, "editInfo")) {
+            return res.status(403).json(permissionDenied("Only admins can edit the group info"));
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ message: "No image uploaded" });
+        }
+
+        let sizes;
+        try {
+            sizes = await processProfileImage(req.file.buffer, conversation._id);
+        } catch (error) {
+            if (error.isInvalidImage) {
+                return res.status(400).json({ message: error.message, code: "INVALID_IMAGE" });
+            }
+            throw error;
+        }
+
+        const previousImages = groupImageUrls(conversation);
+        conversation.groupImage = sizes.medium;
+        conversation.groupImageSizes = sizes;
+        await conversation.save();
+        await removeUploadedFiles(previousImages);
+
+        const io = req.app.get("io");
+        if (io) io.to(conversation._id.toString()).emit("groupUpdated", groupInfo(conversation, req.user));
+        await postSystemMessage(io, conversation._id, req.user, `${req.user.name} changed the group photo`, {
+            action: "group_image_changed"
+        });
+
+        res.json({ message: "Group image updated", groupImage: sizes.medium, groupImageSizes: sizes });
+    } catch (error) {
+        console.error("Error in updateGroupImage:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Remove the group picture
+ * @route   DELETE /api/conversations/:id/image
+ * @access  Private (group members with the editInfo permission)
+ */
+exports.removeGroupImage = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!hasGroupPermission(conversation, req.user._id, "editInfo")) {
+            return res.status(403).json(permissionDenied("Only admins can edit the group info"));
+        }
+
+        if (!conversation.groupImage) {
+            return res.status(400).json({ message: "The group has no image" });
+        }
+
+        const previousImages = groupImageUrls(conversation);
+        conversation.groupImage = null;
+        conversation.groupImageSizes = undefined;
+        await conversation.save();
+        await removeUploadedFiles(previousImages);
+
+        const io = req.app.get("io");
+        if (io) io.to(conversation._id.toString()).emit("groupUpdated", groupInfo(conversation, req.user));
+        await postSystemMessage(io, conversation._id, req.user, `${req.user.name} removed the group photo`, {
+            action: "group_image_removed"
+        });
+
+        res.json({ message: "Group image removed" });
+    } catch (error) {
+        console.error("Error in removeGroupImage:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Make a member an admin or turn an admin back into a member ({ role: "admin" | "member" })
+ * @route   PUT /api/conversations/:id/members/:userId/role
+ * @access  Private (group owner)
+ */
+exports.updateMemberRole = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        const { userId } = req.params;
+        const { role } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+        if (!["admin", "member"].includes(role)) {
+            return res.status(400).json({ message: "role must be admin or member" });
+        }
+        if (getGroupRole(conversation, req.user._id) !== "owner") {
+            return res.status(403).json(permissionDenied("Only the group owner can change roles"));
+        }
+
+        const currentRole = getGroupRole(conversation, userId);
+        if (!currentRole) {
+            return res.status(404).json({ message: "User is not a member of this group" });
+        }
+        if (currentRole === "owner") {
+            return res.status(400).json({ message: "Transfer ownership to change the owner's role" });
+        }
+        if (currentRole === role) {
+            return res.json({ message: "Role updated", role });
+        }
+
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            role === "admin" ? { $addToSet: { admins: userId } } : { $pull: { admins: userId } }
+        );
+
+        const member = await User.findById(userId).select("name");
+        const io = req.app.get("io");
+        emitRoleChange(io, conversation, userId, role);
+        await postSystemMessage(
+            io,
+            conversation._id,
+            req.user,
+            role === "admin"
+                ? `${req.user.name} made ${member?.name || "a member"} an admin`
+                : `${req.user.name} removed ${member?.name || "a member"} as admin`,
+            { action: "role_changed", targets: [userId] }
+        );
+
+        res.json({ message: "Role updated", role });
+    } catch (error) {
+        console.error("Error in updateMemberRole:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Hand the group over to another member; the previous owner stays on as an admin
+ * @route   POST /api/conversations/:id/owner
+ * @access  Private (group owner)
+ */
+exports.transferOwnership = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        const { userId } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+        if (getGroupRole(conversation, req.user._id) !== "owner") {
+            return res.status(403).json(permissionDenied("Only the group owner can transfer ownership"));
+        }
+        if (userId.toString() === req.user._id.toString()) {
+            return res.status(400).json({ message: "You already own this group" });
+        }
+        if (!getGroupRole(conversation, userId)) {
+            return res.status(404).json({ message: "User is not a member of this group" });
+        }
+
+        const previousOwnerId = getOwnerId(conversation);
+        await Conversation.updateOne({ _id: conversation._id }, { owner: userId, $addToSet: { admins: previousOwnerId } });
+        await Conversation.updateOne({ _id: conversation._id }, { $pull: { admins: userId } });
+
+        const newOwner = await User.findById(userId).select("name");
+        const io = req.app.get("io");
+        emitRoleChange(io, conversation, userId, "owner");
+        emitRoleChange(io, conversation, previousOwnerId, "admin");
+        await postSystemMessage(io, conversation._id, req.user, `${req.user.name} made ${newOwner?.name || "a member"} the group owner`, {
+            action: "owner_changed",
+            targets: [userId]
+        });
+
+        res.json({ message: "Ownership transferred" });
+    } catch (error) {
+        console.error("Error in transferOwnership:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Change who may add members, edit info, pin messages and send messages
+ *          Body: any of { addMembers, editInfo, pinMessages, sendMessages } set to "members" or "admins"
+ * @route   PUT /api/conversations/:id/permissions
+ * @access  Private (group admins)
+ */
+exports.updateGroupPermissions = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!isGroupAdmin(conversation, req.user._id)) {
+            return res.status(403).json(permissionDenied("Only admins can change group permissions"));
+        }
+
+        const update = {};
+        for (const permission of GROUP_PERMISSIONS) {
+            const value = req.body[permission];
+            if (value === undefined) continue;
+
+            if (!PERMISSION_LEVELS.includes(value)) {
+                return res.status(400).json({
+                    message: `${permission} must be one of: ${PERMISSION_LEVELS.join(", ")}`
+                });
+            }
+            update[`groupPermissions.${permission}`] = value;
+        }
+
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({ message: "No permissions provided" });
+        }
+
+        const updated = await Conversation.findByIdAndUpdate(conversation._id, { $set: update }, { new: true });
+
+        const io = req.app.get("io");
+        if (io) io.to(updated._id.toString()).emit("groupUpdated", groupInfo(updated, req.user));
+        await postSystemMessage(io, updated._id, req.user, `${req.user.name} changed the group permissions`, {
+            action: "permissions_changed"
+        });
+
+        res.json({ message: "Group permissions updated", permissions: getGroupPermissions(updated) });
+    } catch (error) {
+        console.error("Error in updateGroupPermissions:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+// Client-facing view of an invite link
+const formatInvite = (invite) => ({
+    _id: invite._id,
+    token: invite.token,
+    url: `${APP_URL}/join/${invite.token}`,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    useCount: invite.useCount,
+    requiresApproval: invite.requiresApproval,
+    pendingRequests: invite.joinRequests.length,
+    isActive: invite.isUsable(),
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt
+});
+
+/**
+ * @desc    Create an invite link for a group
+ *          Body: { expiresInHours | expiresAt, maxUses, requiresApproval } (all optional)
+ * @route   POST /api/conversations/:id/invites
+ * @access  Private (group admins)
+ */
+exports.createGroupInvite = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!isGroupAdmin(conversation, req.user._id)) {
+            return res.status(403).json(permissionDenied("Only admins can create invite links"));
+        }
+
+        const { expiresInHours, expiresAt, maxUses, requiresApproval = false } = req.body;
+
+        let expiry = null;
+        if (expiresInHours !== undefined && expiresInHours !== null) {
+            const hours = Number(expiresInHours);
+            if (!Number.isFinite(hours) || hours <= 0) {
+                return res.status(400).json({ message: "expiresInHours must be a positive number" });
+            }
+            expiry = new Date(Date.now() + hours * 60 * 60 * 1000);
+        } else if (expiresAt) {
+            expiry = new Date(expiresAt);
+            if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+                return res.status(400).json({ message: "expiresAt must be a date in the future" });
+            }
+        }
+        if (expiry && expiry.getTime() - Date.now() > MAX_INVITE_LIFETIME_MS) {
+            return res.status(400).json({ message: "Invite links can be valid for at most 30 days" });
+        }
+
+        let usesLimit = null;
+        if (maxUses !== undefined && maxUses !== null) {
+            usesLimit = Number(maxUses);
+            if (!Number.isInteger(usesLimit) || usesLimit < 1 || usesLimit > MAX_INVITE_USES) {
+                return res.status(400).json({ message: `maxUses must be a whole number between 1 and ${MAX_INVITE_USES}` });
+            }
+        }
+
+        const invite = await GroupInvite.create({
+            conversation: conversation._id,
+            createdBy: req.user._id,
+            token: crypto.randomBytes(16).toString("base64url"),
+            expiresAt: expiry,
+            maxUses: usesLimit,
+            requiresApproval: requiresApproval === true || requiresApproval === "true"
+        });
+
+        res.status(201).json({ message: "Invite link created", invite: formatInvite(invite) });
+    } catch (error) {
+        console.error("Error in createGroupInvite:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    List the group's invite links that haven't been revoked
+ * @route   GET /api/conversations/:id/invites
+ * @access  Private (group admins)
+ */
+exports.getGroupInvites = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!isGroupAdmin(conversation, req.user._id)) {
+            return res.status(403).json(permissionDenied("Only admins can view invite links"));
+        }
+
+        const invites = await GroupInvite.find({ conversation: conversation._id, revokedAt: null })
+            .populate("createdBy", "name")
+            .sort({ createdAt: -1 });
+
+        res.json({ invites: invites.map(formatInvite) });
+    } catch (error) {
+        console.error("Error in getGroupInvites:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Revoke an invite link; pending join requests made through it are dropped
+ * @route   DELETE /api/conversations/:id/invites/:inviteId
+ * @access  Private (group admins)
+ */
+exports.revokeGroupInvite = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!isGroupAdmin(conversation, req.user._id)) {
+            return res.status(403).json(permissionDenied("Only admins can revoke invite links"));
+        }
+
+        const { inviteId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+            return res.status(400).json({ message: "Invalid invite ID format" });
+        }
+
+        const invite = await GroupInvite.findOneAndUpdate(
+            { _id: inviteId, conversation: conversation._id, revokedAt: null },
+            { revokedAt: new Date(), revokedBy: req.user._id, joinRequests: [] },
+            { new: true }
+        );
+        if (!invite) {
+            return res.status(404).json({ message: "Invite link not found" });
+        }
+
+        res.json({ message: "Invite link revoked" });
+    } catch (error) {
+        console.error("Error in revokeGroupInvite:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+// Load a usable invite by token, or send a 404
+const findUsableInvite = async (req, res) => {
+    const { token } = req.params;
+
+    const invite = typeof token === "string" ? await GroupInvite.findOne({ token }) : null;
+    const conversation = invite?.isUsable() ? await Conversation.findById(invite.conversation) : null;
+    if (!conversation || !conversation.isGroupChat) {
+        res.status(404).json({ message: "This invite link is invalid or has expired", code: "INVITE_INVALID" });
+        return null;
+    }
+    return { invite, conversation };
+};
+
+/**
+ * @desc    Preview the group behind an invite link before joining
+ * @route   GET /api/conversations/join/:token
+ * @access  Private
+ */
+exports.getInvitePreview = async (req, res) => {
+    try {
+        const found = await findUsableInvite(req, res);
+        if (!found) return;
+        const { invite, conversation } = found;
+
+        res.json({
+            group: {
+                _id: conversation._id,
+                name: conversation.groupName,
+                image: conversation.groupImage,
+                memberCount: conversation.participants.length
+            },
+            requiresApproval: invite.requiresApproval,
+            isMember: !!getGroupRole(conversation, req.user._id),
+            requestPending: invite.joinRequests.some(request => request.user.toString() === req.user._id.toString())
+        });
+    } catch (error) {
+        console.error("Error in getInvitePreview:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Join a group with an invite link, or ask to join when the link requires approval
+ * @route   POST /api/conversations/join/:token
+ * @access  Private
+ */
+exports.joinGroupViaInvite = async (req, res) => {
+    try {
+        const found = await findUsableInvite(req, res);
+        if (!found) return;
+        const { invite, conversation } = found;
+        const userId = req.user._id;
+        const io = req.app.get("io");
+
+        if (getGroupRole(conversation, userId)) {
+            return res.json({ message: "You are already a member of this group", conversationId: conversation._id });
+        }
+
+        if (invite.requiresApproval) {
+            const updated = await GroupInvite.updateOne(
+                { _id: invite._id, "joinRequests.user": { $ne: userId } },
+                { $push: { joinRequests: { user: userId } } }
+            );
+
+            // Let the admins know a new request is waiting
+            if (updated.modifiedCount > 0) {
+                const adminIds = [getOwnerId(conversation), ...(conversation.admins || [])];
+                new Set(adminIds.filter(Boolean).map(id => id.toString())).forEach(adminId => {
+                    emitToUser(adminId, io, "groupJoinRequest", {
+                        conversationId: conversation._id.toString(),
+                        user: { _id: userId, name: req.user.name }
+                    });
+                });
+            }
+
+            return res.status(202).json({
+                message: "Your request to join was sent to the group admins",
+                status: "pending",
+                conversationId: conversation._id
+            });
+        }
+
+        // Count the use atomically so concurrent joins can't exceed maxUses
+        const claimed = await GroupInvite.findOneAndUpdate(
+            { _id: invite._id, ...usableInviteFilter() },
+            { $inc: { useCount: 1 } }
+        );
+        if (!claimed) {
+            return res.status(404).json({ message: "This invite link is invalid or has expired", code: "INVITE_INVALID" });
+        }
+
+        await addMembersToGroup(io, conversation, [req.user], req.user, {
+            content: `${req.user.name} joined using an invite link`,
+            action: "member_joined"
+        });
+
+        res.json({ message: "You joined the group", status: "joined", conversationId: conversation._id });
+    } catch (error) {
+        console.error("Error in joinGroupViaInvite:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    List pending requests to join the group through invite links
+ * @route   GET /api/conversations/:id/join-requests
+ * @access  Private (group admins)
+ */
+exports.getJoinRequests = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!isGroupAdmin(conversation, req.user._id)) {
+            return res.status(403).json(permissionDenied("Only admins can view join requests"));
+        }
+
+        const invites = await GroupInvite.find({ conversation: conversation._id, "joinRequests.0": { $exists: true } })
+            .populate("joinRequests.user", "name username profileImage");
+
+        const requests = invites
+            .flatMap(invite => invite.joinRequests
+                .filter(request => request.user)
+                .map(request => ({ user: request.user, inviteId: invite._id, requestedAt: request.requestedAt })))
+            .sort((a, b) => a.requestedAt - b.requestedAt);
+
+        res.json({ requests });
+    } catch (error) {
+        console.error("Error in getJoinRequests:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+// Query conditions for invites that can still be used (the atomic version of GroupInvite#isUsable)
+const usableInviteFilter = (now = new Date()) => ({
+    revokedAt: null,
+    $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ["$useCount", "$maxUses"] } }] }
+    ]
+});
+
+// Remove a user's pending join request from the group's invites; returns the invite it was on, or null
+const takeJoinRequest = async (conversation, userId) => {
+    return GroupInvite.findOneAndUpdate(
+        { conversation: conversation._id, "joinRequests.user": userId },
+        { $pull: { joinRequests: { user: userId } } }
+    );
+};
+
+/**
+ * @desc    Approve a join request: the user is added to the group
+ * @route   POST /api/conversations/:id/join-requests/:userId/approve
+ * @access  Private (group admins)
+ */
+exports.approveJoinRequest = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!isGroupAdmin(conversation, req.user._id)) {
+            return res.status(403).json(permissionDenied("Only admins can approve join requests"));
+        }
+
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        const user = await User.findById(userId).select("name");
+
+        // Already a member (or the account is gone): just clear the request
+        if (!user || getGroupRole(conversation, userId)) {
+            const invite = await takeJoinRequest(conversation, userId);
+            if (!invite || !user) {
+                return res.status(404).json({ message: "Join request not found" });
+            }
+            return res.json({ message: "Join request approved" });
+        }
+
+        // Take the request and count the use in one step, only while the invite is still usable,
+        // so approvals can't exceed maxUses or go through a revoked or expired link
+        const claimed = await GroupInvite.findOneAndUpdate(
+            { conversation: conversation._id, "joinRequests.user": userId, ...usableInviteFilter() },
+            { $pull: { joinRequests: { user: userId } }, $inc: { useCount: 1 } }
+        );
+        if (!claimed) {
+            // A request on a link that can't be used anymore is dropped
+            const stale = await takeJoinRequest(conversation, userId);
+            if (!stale) {
+                return res.status(404).json({ message: "Join request not found" });
+            }
+            emitToUser(userId, req.app.get("io"), "groupJoinRequestDeclined", { conversationId: conversation._id.toString() });
+            return res.status(409).json({
+                message: "The invite link of this request was revoked, has expired or reached its use limit",
+                code: "INVITE_INVALID"
+            });
+        }
+
+        await addMembersToGroup(req.app.get("io"), conversation, [user], user, {
+            content: `${user.name} joined using an invite link`,
+            action: "member_joined"
+        });
+
+        res.json({ message: "Join request approved" });
+    } catch (error) {
+        console.error("Error in approveJoinRequest:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Decline a join request
+ * @route   POST /api/conversations/:id/join-requests/:userId/decline
+ * @access  Private (group admins)
+ */
+exports.declineJoinRequest = async (req, res) => {
+    try {
+        const conversation = await findGroup(req, res);
+        if (!conversation) return;
+
+        if (!isGroupAdmin(conversation, req.user._id)) {
+            return res.status(403).json(permissionDenied("Only admins can decline join requests"));
+        }
+
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        const invite = await takeJoinRequest(conversation, userId);
+        if (!invite) {
+            return res.status(404).json({ message: "Join request not found" });
+        }
+
+        emitToUser(userId, req.app.get("io"), "groupJoinRequestDeclined", { conversationId: conversation._id.toString() });
+
+        res.json({ message: "Join request declined" });
+    } catch (error) {
+        console.error("Error in declineJoinRequest:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
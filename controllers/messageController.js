@@ -2,6 +2,14 @@ const mongoose = require("mongoose");
 const Message = require("../models/Message");
 const Conversation = require("../models/Conversation");
 const User = require("../models/User");
+const { isEmailUnverified, getSuspensionDetails } = require("../middleware/authMiddleware");
+const { isBlockedBy, hasBlocked, getSocketIdsOfUsers } = require("../utils/blocking");
+const { emitToUser } = require("../sockets/userSocketManager");
+const { MESSAGE_USER_FIELDS, getVisiblePhoto, formatMessageUsers, loadPrivacyProfiles, maskReadReceipts } = require("../utils/privacy");
+const { hasGroupPermission, permissionDenied } = require("../utils/groupPermissions");
+const { getSettingsEntry, visibleHistoryFilter, unarchiveOnNewMessage } = require("../utils/conversationSettings");
+const { markConversationRead, scheduleUnreadCounts, getReadTimeOfMessages } = require("../utils/unreadCounts");
+const { resolveMentions } = require("../utils/mentions");
 const fs = require("fs");
 const path = require("path");
 const dotenv = require("dotenv");
@@ -17,6 +25,14 @@ exports.sendMessage = async (req, res) => {
         const { conversationId, receiver, content, isEphemeral } = req.body;
         const senderId = req.user._id;
 
+        // protect ran before the upload finished, so check again for a suspension applied meanwhile
+        const sender = await User.findById(senderId).select("suspendedAt suspendedUntil suspensionReason");
+        const suspension = sender && getSuspensionDetails(sender);
+        if (suspension) {
+            if (req.file) fs.unlink(req.file.path, () => {});
+            return res.status(403).json(suspension);
+        }
+
         // Validate required fields
         if (!conversationId && !receiver) {
             return res.status(400).json({
@@ -31,6 +47,8 @@ exports.sendMessage = async (req, res) => {
         }
 
         let conversation;
+        // Direct-chat recipient who blocked the sender; the message is saved but never reaches them
+        let withheldFrom = [];
 
         // If conversationId is provided, use it
         if (conversationId) {
@@ -46,12 +64,40 @@ exports.sendMessage = async (req, res) => {
             if (!conversation) {
                 return res.status(404).json({ message: "Conversation not found" });
             }
+
+            if (!hasGroupPermission(conversation, senderId, "sendMessages")) {
+                if (req.file) fs.unlink(req.file.path, () => {});
+                return res.status(403).json(permissionDenied("Only admins can send messages to this group"));
+            }
+
+            if (!conversation.isGroupChat) {
+                const recipientId = conversation.participants.find(p => p.toString() !== senderId.toString());
+                if (recipientId && hasBlocked(req.user, recipientId)) {
+                    return res.status(403).json({
+                        message: "You have blocked this user. Unblock them to send messages.",
+                        code: "USER_BLOCKED"
+                    });
+                }
+                if (recipientId && await isBlockedBy(senderId, recipientId)) {
+                    withheldFrom = [recipientId];
+                }
+            }
         } else {
             // Create or find direct conversation with receiver
             if (!mongoose.Types.ObjectId.isValid(receiver)) {
                 return res.status(400).json({ message: "Invalid receiver ID format" });
             }
 
+            if (hasBlocked(req.user, receiver)) {
+                return res.status(403).json({
+                    message: "You have blocked this user. Unblock them to send messages.",
+                    code: "USER_BLOCKED"
+                });
+            }
+            if (await isBlockedBy(senderId, receiver)) {
+                withheldFrom = [receiver];
+            }
+
             // Check if direct conversation exists
             conversation = await Conversation.findOne({
                 participants: { $all: [senderId, receiver], $size: 2 },
@@ -60,32 +106,28 @@ exports.sendMessage = async (req, res) => {
 
             // Create new conversation if it doesn't exist
             if (!conversation) {
+                // Unverified accounts can't start new conversations
+                if (isEmailUnverified(req.user)) {
+                    return res.status(403).json({
+                        message: "Please verify your email address to start new conversations.",
+                        code: "EMAIL_NOT_VERIFIED"
+                    });
+                }
+
                 conversation = new Conversation({
                     participants: [senderId, receiver],
                     isGroupChat: false,
-                    visibleTo: [senderId, receiver] // Make it visible to both users immediately
+                    initiatedBy: senderId,
+                    // The receiver is added below, either to visibleTo or as a message request
+                    visibleTo: [senderId]
                 });
                 await conversation.save();
 
-                // Notify both users about the new conversation
+                // Notify the sender about the new conversation
                 const io = req.app.get('io');
                 if (io) {
-                    // Get all sockets for both users
                     const { getUserSockets } = require('../sockets/userSocketManager');
 
-                    // Notify receiver
-                    const receiverSockets = getUserSockets(receiver, io);
-                    receiverSockets.forEach(socket => {
-                        socket.emit("newConversationCreated", {
-                            conversationId: conversation._id.toString(),
-                            participants: [senderId, receiver],
-                            isGroupChat: false
-                        });
-
-                        // Join the socket to the conversation room
-                        socket.join(conversation._id.toString());
-                    });
-
                     // Notify sender
                     const senderSockets = getUserSockets(senderId, io);
                     senderSockets.forEach(socket => {
@@ -162,32 +204,84 @@ exports.sendMessage = async (req, res) => {
             fileType,
             isEphemeral: (isEphemeral === "true" || isEphemeral === true),
             ephemeralViewed: false,
+            mentions: await resolveMentions(content, conversation.participants, senderId),
+            withheldFrom,
         };
 
         // Save the message to the database
         const message = new Message(messageData);
         await message.save();
 
-        // Update conversation's last message and activity
+        // Update conversation's last message and activity (the chat list shows whoever the
+        // message is withheld from their latest visible message instead)
         conversation.lastMessage = message._id;
         conversation.lastActivity = new Date();
 
         // Make conversation visible to all participants when first message is sent
         // This ensures the receiver only sees the chat after a message is actually sent
-        const allParticipants = conversation.participants.map(p => p.toString());
+        const senderIdString = senderId.toString();
+
+        // Replying to a message request (even a declined one) accepts it
+        conversation.requestedTo = (conversation.requestedTo || []).filter(id => id.toString() !== senderIdString);
+        conversation.declinedBy = (conversation.declinedBy || []).filter(id => id.toString() !== senderIdString);
+
+        // Participants who blocked the sender or declined the request don't get the conversation back
+        const hiddenFromIds = [...withheldFrom, ...conversation.declinedBy].map(id => id.toString());
+        const allParticipants = conversation.participants
+            .map(p => p.toString())
+            .filter(participantId => !hiddenFromIds.includes(participantId));
         const currentVisibleTo = conversation.visibleTo ? conversation.visibleTo.map(p => p.toString()) : [];
 
         // Find participants who couldn't see the conversation before
-        const newlyVisibleUsers = allParticipants.filter(participantId =>
+        let newlyVisibleUsers = allParticipants.filter(participantId =>
             !currentVisibleTo.includes(participantId)
         );
 
+        // In direct chats, messages from someone the recipient hasn't added as a contact
+        // land in their message requests instead of their conversation list
+        // (conversations from before visibleTo existed have it empty and are left alone)
+        let requestRecipients = [];
+        if (!conversation.isGroupChat && currentVisibleTo.length > 0) {
+            // Participants who removed the chat from their list get it back directly
+            const recipientIds = newlyVisibleUsers.filter(participantId =>
+                participantId !== senderIdString && !getSettingsEntry(conversation, participantId)?.clearedAt
+            );
+            if (recipientIds.length > 0) {
+                const strangers = await User.find({ _id: { $in: recipientIds }, contacts: { $ne: senderId } }).select("_id");
+                requestRecipients = strangers.map(user => user._id.toString());
+                newlyVisibleUsers = newlyVisibleUsers.filter(participantId => !requestRecipients.includes(participantId));
+            }
+        }
+
         // Add any participants who can't see the conversation yet
-        const newVisibleTo = [...new Set([...currentVisibleTo, ...allParticipants])];
+        const newVisibleTo = [...new Set([...currentVisibleTo, ...newlyVisibleUsers])];
         conversation.visibleTo = newVisibleTo;
+        conversation.requestedTo = [...new Set([...conversation.requestedTo.map(id => id.toString()), ...requestRecipients])];
 
         await conversation.save();
 
+        // Bring the conversation back from the recipients' archives (unless they muted it)
+        await unarchiveOnNewMessage(req.app.get('io'), conversation._id, [senderId, ...withheldFrom]);
+
+        // Replying means the sender has read everything before; recipients get new badge counts
+        await markConversationRead(req.app.get('io'), conversation._id, senderId, message.createdAt);
+        const badgeRecipients = conversation.visibleTo
+            .map(id => id.toString())
+            .filter(id => id !== senderIdString && !withheldFrom.some(w => w.toString() === id));
+        badgeRecipients.forEach(id => scheduleUnreadCounts(req.app.get('io'), id, conversation._id));
+
+        // Let pending recipients know about the new or updated request (req.user is the full
+        // sender document, so the photo follows their privacy settings)
+        if (requestRecipients.length > 0) {
+            const io = req.app.get('io');
+            requestRecipients.forEach(recipientId => {
+                emitToUser(recipientId, io, "messageRequest", {
+                    conversationId: conversation._id.toString(),
+                    from: { _id: senderId, name: req.user.name, username: req.user.username || null, ...getVisiblePhoto(req.user, recipientId) }
+                });
+            });
+        }
+
         // Emit newConversationVisible event to newly visible users
         if (newlyVisibleUsers.length > 0) {
             const io = req.app.get('io');
@@ -210,14 +304,14 @@ exports.sendMessage = async (req, res) => {
                         console.log(`📤 Emitting newConversationVisible to socket ${userSocket.id} for user ${userId}`);
 
                         userSocket.emit("newConversationVisible", {
-                            conversationId: conversationId,
+                            conversationId: conversation._id.toString(),
                             isNewlyVisible: true,
                             message: "New conversation is now visible"
                         });
 
                         // Also make sure they join the conversation room
-                        userSocket.join(conversationId);
-                        console.log(`🔗 Added user ${userId} to conversation room: ${conversationId}`);
+                        userSocket.join(conversation._id.toString());
+                        console.log(`🔗 Added user ${userId} to conversation room: ${conversation._id}`);
                     });
                 });
 
@@ -225,7 +319,7 @@ exports.sendMessage = async (req, res) => {
 
                 // Also broadcast to all clients as a fallback
                 io.emit("conversationBecameVisible", {
-                    conversationId: conversationId,
+                    conversationId: conversation._id.toString(),
                     newlyVisibleUsers: newlyVisibleUsers,
                     isNewlyVisible: true
                 });
@@ -240,11 +334,11 @@ exports.sendMessage = async (req, res) => {
 
         // Populate sender info for response
         const populatedMessage = await Message.findById(message._id)
-            .populate('sender', 'name email profileImage');
+            .populate('sender', MESSAGE_USER_FIELDS);
 
         // Create a response object with explicit file metadata to ensure it's included
         const responseData = {
-            ...populatedMessage.toObject(),
+            ...formatMessageUsers(populatedMessage.toObject(), senderId),
             fileName: fileName,
             fileSize: fileSize,
             fileType: fileType,
@@ -318,26 +412,34 @@ exports.getMessages = async (req, res) => {
             });
         }
 
-        // Get messages for the conversation
+        // Get messages for the conversation (without the ones the user cleared)
         const messages = await Message.find({
-            conversation: conversation._id
+            conversation: conversation._id,
+            withheldFrom: { $ne: authenticatedUserId },
+            ...visibleHistoryFilter(conversation, authenticatedUserId)
         })
-            .populate('sender', 'name email profileImage')
+            .populate('sender', MESSAGE_USER_FIELDS)
             .populate({
                 path: 'reactions.user',
-                select: 'name email profileImage'
+                select: MESSAGE_USER_FIELDS
             })
             .sort({ createdAt: 1 });
 
+        // Read receipts follow the participants' privacy settings
+        const participants = await loadPrivacyProfiles(conversation.participants);
+        const viewer = participants.find(p => p._id.equals(authenticatedUserId));
+
         // Return messages with delivery and seen status
         res.json({
             success: true,
-            messages: messages.map(msg => {
+            messages: maskReadReceipts(messages.map(msg => {
+                const { sender, reactions } = formatMessageUsers(msg.toObject(), authenticatedUserId);
+
                 // Create a message object with all properties
                 const messageObj = {
                     _id: msg._id,
                     content: msg.content,
-                    sender: msg.sender,
+                    sender,
                     conversation: msg.conversation,
                     image: msg.image,
                     file: msg.file,
@@ -350,7 +452,7 @@ exports.getMessages = async (req, res) => {
                     seen: msg.seen,
                     seenAt: msg.seenAt,
                     seenBy: msg.seenBy,
-                    reactions: msg.reactions, // Include reactions in the response
+                    reactions, // Include reactions in the response
                     isDeleted: msg.isDeleted,
                     deletedAt: msg.deletedAt,
                     isEdited: msg.isEdited,
@@ -375,7 +477,7 @@ exports.getMessages = async (req, res) => {
                 }
 
                 return messageObj;
-            })
+            }), viewer, participants)
         });
     } catch (error) {
         console.error("Error fetching messages:", error);
@@ -408,21 +510,23 @@ exports.getDirectMessages = async (req, res) => {
             return res.status(200).json({ message: "No chat history found.", messages: [] });
         }
 
-        // Get messages for the conversation
+        // Get messages for the conversation (without the ones the user cleared)
         const messages = await Message.find({
-            conversation: conversation._id
+            conversation: conversation._id,
+            withheldFrom: { $ne: authenticatedUserId },
+            ...visibleHistoryFilter(conversation, authenticatedUserId)
         })
-            .populate('sender', 'name email profileImage')
+            .populate('sender', MESSAGE_USER_FIELDS)
             .populate({
                 path: 'reactions.user',
-                select: 'name email profileImage'
+                select: MESSAGE_USER_FIELDS
             })
             .sort({ createdAt: 1 });
 
         // Process messages: if an ephemeral message has been marked as viewed,
         // remove the image URL for both sender and receiver.
         const sanitizedMessages = messages.map(msg => {
-            const msgObj = msg.toObject();
+            const msgObj = formatMessageUsers(msg.toObject(), authenticatedUserId);
             if (msgObj.isEphemeral && msgObj.ephemeralViewed) {
                 msgObj.image = null;
             }
@@ -433,7 +537,11 @@ exports.getDirectMessages = async (req, res) => {
             return msgObj;
         });
 
-        return res.status(200).json({ messages: sanitizedMessages });
+        // Read receipts follow the participants' privacy settings
+        const participants = await loadPrivacyProfiles(conversation.participants);
+        const viewer = participants.find(p => p._id.equals(authenticatedUserId));
+
+        return res.status(200).json({ messages: maskReadReceipts(sanitizedMessages, viewer, participants) });
     } catch (error) {
         console.error("Error fetching chat history:", error);
         return res.status(500).json({ message: "Server Error", error: error.message });
@@ -549,6 +657,14 @@ exports.markMessagesAsSeen = async (req, res) => {
             );
         }
 
+        // Move the read pointer to the newest of the given messages, or to now when all were read
+        const readAt = messageIds && messageIds.length > 0
+            ? await getReadTimeOfMessages(conversation._id, messageIds)
+            : new Date();
+        if (readAt) {
+            await markConversationRead(req.app.get("io"), conversation._id, userId, readAt);
+        }
+
         res.json({ message: "Messages marked as seen" });
     } catch (error) {
         console.error("Error marking messages as seen:", error);
@@ -572,8 +688,8 @@ exports.editMessage = async (req, res) => {
             return res.status(400).json({ message: "Invalid message ID format" });
         }
 
-        // Find the message
-        const message = await Message.findById(messageId);
+        // Find the message (withheldFrom keeps its events away from the blocked recipient)
+        const message = await Message.findById(messageId).select("+withheldFrom");
         if (!message) {
             return res.status(404).json({ message: "Message not found" });
         }
@@ -588,20 +704,28 @@ exports.editMessage = async (req, res) => {
             return res.status(400).json({ message: "Cannot edit a deleted message" });
         }
 
-        // Update the message
+        if (message.isSystem) {
+            return res.status(400).json({ message: "System messages cannot be edited" });
+        }
+
+        // Update the message (mentions follow the new text)
+        const conversation = await Conversation.findById(message.conversation).select("participants");
         message.content = content;
+        message.mentions = await resolveMentions(content, conversation?.participants || [], userId);
         message.isEdited = true;
         message.editedAt = new Date();
         await message.save();
 
         // Get the updated message with populated sender
         const updatedMessage = await Message.findById(messageId)
-            .populate('sender', 'name email profileImage');
+            .populate('sender', MESSAGE_USER_FIELDS);
 
         // Emit socket event to notify all users in the conversation
         const io = req.app.get('io');
         if (io) {
-            io.to(message.conversation.toString()).emit('messageEdited', {
+            io.to(message.conversation.toString())
+                .except(getSocketIdsOfUsers(message.withheldFrom, io))
+                .emit('messageEdited', {
                 messageId: message._id,
                 content: message.content,
                 isEdited: message.isEdited,
@@ -612,7 +736,7 @@ exports.editMessage = async (req, res) => {
 
         return res.status(200).json({
             message: "Message updated successfully",
-            data: updatedMessage
+            data: formatMessageUsers(updatedMessage.toObject(), userId)
         });
     } catch (error) {
         console.error("Error editing message:", error);
@@ -636,7 +760,7 @@ exports.deleteMessage = async (req, res) => {
         }
 
         // Find the message
-        const message = await Message.findById(messageId);
+        const message = await Message.findById(messageId).select("+withheldFrom");
         if (!message) {
             return res.status(404).json({ message: "Message not found" });
         }
@@ -670,7 +794,9 @@ exports.deleteMessage = async (req, res) => {
         // Emit socket event to notify all users in the conversation
         const io = req.app.get('io');
         if (io) {
-            io.to(message.conversation.toString()).emit('messageDeleted', {
+            io.to(message.conversation.toString())
+                .except(getSocketIdsOfUsers(message.withheldFrom, io))
+                .emit('messageDeleted', {
                 messageId: message._id,
                 conversation: message.conversation
             });
@@ -701,7 +827,7 @@ exports.pinMessage = async (req, res) => {
         }
 
         // Find the message
-        const message = await Message.findById(messageId);
+        const message = await Message.findById(messageId).select("+withheldFrom");
         if (!message) {
             return res.status(404).json({ message: "Message not found" });
         }
@@ -721,6 +847,10 @@ exports.pinMessage = async (req, res) => {
             return res.status(404).json({ message: "Conversation not found or you're not a participant" });
         }
 
+        if (!hasGroupPermission(conversation, userId, "pinMessages")) {
+            return res.status(403).json(permissionDenied("Only admins can pin messages in this group"));
+        }
+
         // Toggle pin status
         message.isPinned = !message.isPinned;
 
@@ -736,13 +866,15 @@ exports.pinMessage = async (req, res) => {
 
         // Get the updated message with populated sender and pinnedBy
         const updatedMessage = await Message.findById(messageId)
-            .populate('sender', 'name email profileImage')
-            .populate('pinnedBy', 'name email profileImage');
+            .populate('sender', MESSAGE_USER_FIELDS)
+            .populate('pinnedBy', MESSAGE_USER_FIELDS);
 
         // Emit socket event to notify all users in the conversation
         const io = req.app.get('io');
         if (io) {
-            io.to(message.conversation.toString()).emit('messagePinned', {
+            io.to(message.conversation.toString())
+                .except(getSocketIdsOfUsers(message.withheldFrom, io))
+                .emit('messagePinned', {
                 messageId: message._id,
                 isPinned: message.isPinned,
                 pinnedAt: message.pinnedAt,
@@ -753,7 +885,7 @@ exports.pinMessage = async (req, res) => {
 
         return res.status(200).json({
             message: message.isPinned ? "Message pinned successfully" : "Message unpinned successfully",
-            data: updatedMessage
+            data: formatMessageUsers(updatedMessage.toObject(), userId)
         });
     } catch (error) {
         console.error("Error pinning message:", error);
@@ -783,7 +915,7 @@ exports.reactToMessage = async (req, res) => {
         }
 
         // Find the message
-        const message = await Message.findById(messageId);
+        const message = await Message.findById(messageId).select("+withheldFrom");
         if (!message) {
             return res.status(404).json({ message: "Message not found" });
         }
@@ -838,13 +970,15 @@ exports.reactToMessage = async (req, res) => {
 
         // Get the updated message with populated sender and reactions.user
         const updatedMessage = await Message.findById(messageId)
-            .populate('sender', 'name email profileImage')
-            .populate('reactions.user', 'name email profileImage');
+            .populate('sender', MESSAGE_USER_FIELDS)
+            .populate('reactions.user', MESSAGE_USER_FIELDS);
 
         // Emit socket event to notify all users in the conversation
         const io = req.app.get('io');
         if (io) {
-            io.to(message.conversation.toString()).emit('messageReaction', {
+            io.to(message.conversation.toString())
+                .except(getSocketIdsOfUsers(message.withheldFrom, io))
+                .emit('messageReaction', {
                 messageId: message._id,
                 reactions: message.reactions,
                 conversation: message.conversation
@@ -853,7 +987,7 @@ exports.reactToMessage = async (req, res) => {
 
         return res.status(200).json({
             message: `Reaction ${action} successfully`,
-            data: updatedMessage
+            data: formatMessageUsers(updatedMessage.toObject(), userId)
         });
     } catch (error) {
         console.error("Error reacting to message:", error);
@@ -0,0 +1,299 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const OidcAuthRequest = require("../models/OidcAuthRequest");
+const { escapeRegex } = require("../utils/userSearch");
+const { getSuspensionDetails } = require("../middleware/authMiddleware");
+const {
+    getOidcConfig,
+    isOidcEnabled,
+    randomToken,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    fetchUserInfo
+} = require("../utils/oidcClient");
+const {
+    hashToken,
+    buildLoginResponse,
+    generateChallengeToken,
+    createVerificationToken,
+    consumeVerificationToken,
+    revokeUserSessions
+} = require("../utils/tokenUtils");
+
+const AUTH_REQUEST_TTL_MS = 10 * 60 * 1000; // 10 minutes to complete the provider login
+const LOGIN_CODE_TTL_MS = 60 * 1000; // One-time code handed to the frontend after the callback
+
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+const DEFAULT_RETURN_TO = process.env.OIDC_POST_LOGIN_REDIRECT || `${APP_URL}/oidc/callback`;
+
+// Only redirect back to our own frontends (same list as the CORS configuration)
+const isAllowedReturnUrl = (url) => {
+    let allowedOrigins = process.env.FRONTEND_URL || "";
+    try {
+        allowedOrigins = JSON.parse(allowedOrigins);
+        if (!Array.isArray(allowedOrigins)) throw new Error();
+    } catch {
+        allowedOrigins = allowedOrigins.split(',').map(item => item.trim());
+    }
+
+    try {
+        const { origin } = new URL(url);
+        return allowedOrigins.includes(origin) || origin === new URL(APP_URL).origin;
+    } catch {
+        return false;
+    }
+};
+
+// Send the browser back to the frontend with either a login code or an error
+const redirectToFrontend = (res, returnTo, params) => {
+    const url = new URL(returnTo);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return res.redirect(url.toString());
+};
+
+/**
+ * Find the account for a verified external identity: an already linked account first,
+ * then an account with the same (verified) email, which gets the identity linked.
+ * Creates a new password-less account otherwise.
+ *
+ * A local account whose email was never verified may have been registered by someone else
+ * with this address. The provider proves who owns it, so that account's password, 2FA and
+ * sessions are dropped before the identity is linked. Emails are matched case-insensitively
+ * since accounts keep the address as it was typed.
+ */
+const linkOrCreateUser = async ({ provider, subject, email, name }, io) => {
+    let user = await User.findOne({ identities: { $elemMatch: { provider, subject } } });
+    if (user) return user;
+
+    user = await User.findOne({ email: { $regex: `^${escapeRegex(email)}$`, $options: "i" } });
+    if (user) {
+        if (user.emailVerified === false) {
+            await revokeUserSessions(user._id, io, { reason: "Account was claimed by the owner of its email address" });
+            user.password = undefined;
+            user.passwordChangedAt = new Date();
+            user.twoFactorEnabled = false;
+            user.twoFactorSecret = undefined;
+            user.twoFactorPendingSecret = undefined;
+            user.twoFactorRecoveryCodes = [];
+            user.twoFactorLastUsedStep = undefined;
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+        // Conditional, so a concurrent callback for the same identity doesn't link it twice
+        await User.updateOne(
+            { _id: user._id, identities: { $not: { $elemMatch: { provider, subject } } } },
+            { $push: { identities: { provider, subject, email } } }
+        );
+        return user;
+    }
+
+    user = new User({
+        name: name || email.split("@")[0],
+        email,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        identities: [{ provider, subject, email }]
+    });
+    await user.save();
+    return user;
+};
+
+// Two callbacks for the same identity may race: the loser hits a duplicate key error and
+// retries once, which finds the account the other one linked or created
+const findOrCreateUserForIdentity = async (identity, io, { retried = false } = {}) => {
+    try {
+        return await linkOrCreateUser(identity, io);
+    } catch (error) {
+        if (error.code !== 11000 || retried) throw error;
+        return findOrCreateUserForIdentity(identity, io, { retried: true });
+    }
+};
+
+/**
+ * @desc    Start OIDC sign-in: redirect to the identity provider
+ * @route   GET /api/auth/oidc/login?returnTo=...
+ * @access  Public
+ */
+exports.startOidcLogin = async (req, res) => {
+    try {
+        if (!isOidcEnabled()) {
+            return res.status(404).json({ message: "External sign-in is not configured" });
+        }
+
+        const returnTo = req.query.returnTo || DEFAULT_RETURN_TO;
+        if (!isAllowedReturnUrl(returnTo)) {
+            return res.status(400).json({ message: "Invalid returnTo URL" });
+        }
+
+        const state = randomToken();
+        const nonce = randomToken();
+        const codeVerifier = randomToken();
+
+        await OidcAuthRequest.create({
+            stateHash: hashToken(state),
+            nonce,
+            codeVerifier,
+            returnTo,
+            expiresAt: new Date(Date.now() + AUTH_REQUEST_TTL_MS)
+        });
+
+        res.redirect(await buildAuthorizationUrl({ state, nonce, codeVerifier }));
+    } catch (error) {
+        console.error("Error in startOidcLogin:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Provider callback: verify the response, link or create the user and
+ *          redirect to the frontend with a one-time login code
+ * @route   GET /api/auth/oidc/callback
+ * @access  Public (called by the identity provider)
+ */
+exports.oidcCallback = async (req, res) => {
+    try {
+        const { code, state, error: providerError } = req.query;
+        if (!state) {
+            return res.status(400).json({ message: "Missing state" });
+        }
+
+        // Each authorization request can only be completed once
+        const authRequest = await OidcAuthRequest.findOneAndDelete({
+            stateHash: hashToken(String(state)),
+            expiresAt: { $gt: new Date() }
+        });
+        if (!authRequest) {
+            return res.status(400).json({ message: "Sign-in request expired. Please try again." });
+        }
+
+        if (providerError || !code) {
+            return redirectToFrontend(res, authRequest.returnTo, { error: providerError || "missing_code" });
+        }
+
+        const tokens = await exchangeCode(String(code), authRequest.codeVerifier);
+        const claims = await verifyIdToken(tokens.id_token, authRequest.nonce);
+
+        // Some providers only put email claims in the userinfo response
+        let { email, email_verified: emailVerified, name } = claims;
+        if (!email && tokens.access_token) {
+            const userInfo = await fetchUserInfo(tokens.access_token);
+            if (userInfo.sub === claims.sub) {
+                ({ email, email_verified: emailVerified, name = name } = userInfo);
+            }
+        }
+
+        // Accounts are matched by email, so only addresses the provider verified are accepted
+        if (!email || emailVerified !== true) {
+            return redirectToFrontend(res, authRequest.returnTo, { error: "email_not_verified" });
+        }
+
+        const user = await findOrCreateUserForIdentity({
+            provider: getOidcConfig().providerName,
+            subject: claims.sub,
+            email,
+            name
+        }, req.app.get("io"));
+
+        const loginCode = await createVerificationToken(user._id, "oidc_login", LOGIN_CODE_TTL_MS);
+        redirectToFrontend(res, authRequest.returnTo, { code: loginCode });
+    } catch (error) {
+        console.error("Error in oidcCallback:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Exchange the one-time login code from the callback for session tokens
+ * @route   POST /api/auth/oidc/exchange
+ * @access  Public (requires a valid login code)
+ */
+exports.exchangeOidcLoginCode = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const loginCode = await consumeVerificationToken(code, "oidc_login");
+        if (!loginCode) {
+            return res.status(400).json({ message: "Invalid or expired login code" });
+        }
+
+        const user = await User.findById(loginCode.user);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const suspension = getSuspensionDetails(user);
+        if (suspension) return res.status(403).json(suspension);
+
+        // Same second step as a password login
+        if (user.twoFactorEnabled) {
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: generateChallengeToken(user._id)
+            });
+        }
+
+        res.json(await buildLoginResponse(user, req));
+    } catch (error) {
+        console.error("Error in exchangeOidcLoginCode:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    List external identities linked to the authenticated user
+ * @route   GET /api/auth/identities
+ * @access  Private
+ */
+exports.getIdentities = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select("identities password");
+
+        res.json({
+            hasPassword: !!user.password,
+            identities: user.identities.map(identity => ({
+                _id: identity._id,
+                provider: identity.provider,
+                email: identity.email,
+                linkedAt: identity.linkedAt
+            }))
+        });
+    } catch (error) {
+        console.error("Error in getIdentities:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Unlink an external identity (the account must keep a way to sign in)
+ * @route   DELETE /api/auth/identities/:id
+ * @access  Private
+ */
+exports.unlinkIdentity = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid identity ID format" });
+        }
+
+        const user = await User.findById(req.user._id).select("identities password");
+        const identity = user.identities.id(id);
+        if (!identity) {
+            return res.status(404).json({ message: "Identity not found" });
+        }
+
+        if (!user.password && user.identities.length === 1) {
+            return res.status(400).json({ message: "Set a password before unlinking your only sign-in method" });
+        }
+
+        identity.deleteOne();
+        await user.save();
+
+        res.json({ message: "Identity unlinked successfully" });
+    } catch (error) {
+        console.error("Error in unlinkIdentity:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
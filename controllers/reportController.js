@@ -0,0 +1,305 @@
+const mongoose = require("mongoose");
+const Report = require("../models/Report");
+const User = require("../models/User");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const { emitToUser } = require("../sockets/userSocketManager");
+const { MAX_SUSPENSION_HOURS, canModerate, suspendUser } = require("../utils/moderation");
+
+const STATUSES = Report.schema.path("status").enumValues;
+const REASONS = Report.schema.path("reason").enumValues;
+const ACTIONS = ["warn", "suspend", "ban"];
+const CONTEXT_MESSAGE_LIMIT = 50;
+
+// Let the reporter know their report was handled (the internal note is not shared)
+const notifyReporter = (io, report) => {
+    emitToUser(report.reporter, io, "reportResolved", {
+        reportId: report._id.toString(),
+        reportedUserId: report.reportedUser.toString(),
+        status: report.status,
+        actionTaken: report.actionTaken !== "none",
+        resolvedAt: report.resolvedAt
+    });
+};
+
+/**
+ * @desc    List reports, filtered by status, reason and/or reported user
+ * @route   GET /api/admin/reports?status=pending&reason=spam&reportedUser=...&page=1&limit=20
+ * @access  Private (moderator, admin)
+ */
+exports.getReports = async (req, res) => {
+    try {
+        const { status, reason, reportedUser } = req.query;
+        const filter = {};
+
+        if (status) {
+            if (!STATUSES.includes(status)) {
+                return res.status(400).json({ message: `Status must be one of: ${STATUSES.join(", ")}` });
+            }
+            filter.status = status;
+        }
+
+        if (reason) {
+            if (!REASONS.includes(reason)) {
+                return res.status(400).json({ message: `Reason must be one of: ${REASONS.join(", ")}` });
+            }
+            filter.reason = reason;
+        }
+
+        if (reportedUser) {
+            if (!mongoose.Types.ObjectId.isValid(reportedUser)) {
+                return res.status(400).json({ message: "Invalid user ID format" });
+            }
+            filter.reportedUser = reportedUser;
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const [reports, total] = await Promise.all([
+            Report.find(filter)
+                .populate("reporter", "name email profileImage")
+                .populate("reportedUser", "name email profileImage role suspendedAt suspendedUntil")
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Report.countDocuments(filter)
+        ]);
+
+        res.json({
+            reports,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Error in getReports:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Get a report with context: recent messages between the reporter and the
+ *          reported user and the reported user's moderation history
+ * @route   GET /api/admin/reports/:id
+ * @access  Private (moderator, admin)
+ */
+exports.getReportById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid report ID format" });
+        }
+
+        const report = await Report.findById(id).lean();
+        if (!report) {
+            return res.status(404).json({ message: "Report not found" });
+        }
+
+        // Taken before populating: a deleted account's placeholder id populates to null
+        const reporterId = report.reporter;
+        const reportedUserId = report.reportedUser;
+
+        await Report.populate(report, [
+            { path: "reporter", select: "name email profileImage" },
+            { path: "reportedUser", select: "name email profileImage role createdAt warnings suspendedAt suspendedUntil suspensionReason" },
+            { path: "reviewedBy", select: "name" },
+            { path: "resolvedBy", select: "name" }
+        ]);
+
+        // Direct conversation(s) between the two users (none once the reported account is deleted)
+        const conversations = !report.reportedUserDeleted
+            ? await Conversation.find({
+                isGroupChat: false,
+                participants: { $all: [reporterId, reportedUserId], $size: 2 }
+            }).select("_id")
+            : [];
+
+        // Most recent messages, returned oldest first; deleted messages are kept as evidence
+        const recentMessages = (await Message.find({ conversation: { $in: conversations.map(c => c._id) } })
+            .select("sender content image file fileName isDeleted isEdited createdAt")
+            .sort({ createdAt: -1 })
+            .limit(CONTEXT_MESSAGE_LIMIT)
+            .lean()).reverse();
+
+        const otherReports = await Report.countDocuments({ reportedUser: reportedUserId, _id: { $ne: report._id } });
+
+        res.json({
+            report,
+            context: {
+                conversationIds: conversations.map(c => c._id),
+                recentMessages,
+                otherReports
+            }
+        });
+    } catch (error) {
+        console.error("Error in getReportById:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Move a report to reviewed or resolved (resolving requires a note).
+ *          Transitions: pending -> reviewed -> resolved, pending -> resolved
+ * @route   PATCH /api/admin/reports/:id
+ * @access  Private (moderator, admin)
+ */
+exports.updateReportStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid report ID format" });
+        }
+
+        if (!["reviewed", "resolved"].includes(status)) {
+            return res.status(400).json({ message: "Status must be reviewed or resolved" });
+        }
+
+        const trimmedNote = typeof note === "string" ? note.trim() : "";
+        if (status === "resolved" && !trimmedNote) {
+            return res.status(400).json({ message: "A resolution note is required" });
+        }
+        if (trimmedNote.length > 1000) {
+            return res.status(400).json({ message: "Note cannot exceed 1000 characters" });
+        }
+
+        const now = new Date();
+        const update = status === "reviewed"
+            ? { status, reviewedBy: req.user._id, reviewedAt: now }
+            : { status, resolvedBy: req.user._id, resolvedAt: now, resolutionNote: trimmedNote };
+        if (status === "reviewed" && trimmedNote) update.resolutionNote = trimmedNote;
+
+        // Only move forward; the status condition also guards against concurrent updates
+        const allowedFrom = status === "reviewed" ? ["pending"] : ["pending", "reviewed"];
+        const report = await Report.findOneAndUpdate(
+            { _id: id, status: { $in: allowedFrom } },
+            update,
+            { new: true }
+        );
+
+        if (!report) {
+            const exists = await Report.exists({ _id: id });
+            return exists
+                ? res.status(409).json({ message: `Report cannot be moved to ${status} from its current status` })
+                : res.status(404).json({ message: "Report not found" });
+        }
+
+        if (status === "resolved") {
+            notifyReporter(req.app.get("io"), report);
+        }
+
+        res.json({ message: `Report marked as ${status}`, report });
+    } catch (error) {
+        console.error("Error in updateReportStatus:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Take action against the reported user (warn, suspend or ban) and resolve the report
+ *          Body: { action, note, durationHours } (durationHours is required for suspend)
+ * @route   POST /api/admin/reports/:id/action
+ * @access  Private (moderator, admin)
+ */
+exports.takeReportAction = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { action, note, durationHours } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid report ID format" });
+        }
+
+        if (!ACTIONS.includes(action)) {
+            return res.status(400).json({ message: `Action must be one of: ${ACTIONS.join(", ")}` });
+        }
+
+        const trimmedNote = typeof note === "string" ? note.trim() : "";
+        if (!trimmedNote) {
+            return res.status(400).json({ message: "A note explaining the action is required" });
+        }
+        if (trimmedNote.length > 1000) {
+            return res.status(400).json({ message: "Note cannot exceed 1000 characters" });
+        }
+
+        const hours = Number(durationHours);
+        if (action === "suspend" && (!Number.isFinite(hours) || hours <= 0 || hours > MAX_SUSPENSION_HOURS)) {
+            return res.status(400).json({ message: `durationHours must be between 0 and ${MAX_SUSPENSION_HOURS}` });
+        }
+
+        const report = await Report.findById(id);
+        if (!report) {
+            return res.status(404).json({ message: "Report not found" });
+        }
+        if (report.status === "resolved") {
+            return res.status(409).json({ message: "Report is already resolved" });
+        }
+
+        const target = await User.findById(report.reportedUser);
+        if (!target) {
+            return res.status(404).json({ message: "Reported user no longer exists" });
+        }
+        if (!canModerate(req.user, target)) {
+            return res.status(403).json({
+                message: "You do not have permission to moderate this user",
+                code: "FORBIDDEN"
+            });
+        }
+
+        // Claim the report first so two moderators can't act on it at the same time
+        const now = new Date();
+        const resolvedReport = await Report.findOneAndUpdate(
+            { _id: id, status: { $ne: "resolved" } },
+            {
+                status: "resolved",
+                resolvedBy: req.user._id,
+                resolvedAt: now,
+                resolutionNote: trimmedNote,
+                actionTaken: action
+            },
+            { new: true }
+        );
+        if (!resolvedReport) {
+            return res.status(409).json({ message: "Report is already resolved" });
+        }
+
+        const io = req.app.get("io");
+
+        if (action === "warn") {
+            target.warnings.push({ reason: trimmedNote, issuedBy: req.user._id, report: report._id, issuedAt: now });
+            await target.save();
+            emitToUser(target._id, io, "accountWarning", { reason: trimmedNote, issuedAt: now });
+        } else {
+            await suspendUser(target, {
+                until: action === "suspend" ? new Date(now.getTime() + hours * 60 * 60 * 1000) : null,
+                reason: trimmedNote,
+                by: req.user._id
+            }, io);
+        }
+
+        console.log(`Moderator ${req.user._id} took action "${action}" against user ${target._id} (report ${report._id})`);
+
+        notifyReporter(io, resolvedReport);
+
+        res.json({
+            message: "Action applied and report resolved",
+            report: resolvedReport,
+            user: {
+                _id: target._id,
+                warnings: target.warnings.length,
+                suspendedAt: target.suspendedAt,
+                suspendedUntil: target.suspendedUntil
+            }
+        });
+    } catch (error) {
+        console.error("Error in takeReportAction:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
@@ -0,0 +1,236 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { generateSecret, verifyCode, buildOtpauthUri } = require("../utils/totp");
+const { hashToken, buildLoginResponse, verifyChallengeToken, getClientIp } = require("../utils/tokenUtils");
+const { reserveLoginAttempt, settleSuccessfulLogin, sendTooManyRequests } = require("../utils/rateLimiter");
+const { getSuspensionDetails } = require("../middleware/authMiddleware");
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_FIELDS = "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+// Recovery codes are shown as "xxxxx-xxxxx" but accepted with any case or separators
+const normalizeRecoveryCode = (code) => String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const generateRecoveryCodes = () => {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString("hex");
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user loaded with TWO_FACTOR_FIELDS and consume it.
+ * Consuming is a conditional update, so concurrent requests can't use the same code twice.
+ * The in-memory user is kept in sync (saving it afterwards is not needed). Returns true if valid.
+ */
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = verifyCode(user.twoFactorSecret, code);
+        if (step === null) return false;
+
+        // Only succeeds if no code from this time step (or a later one) was used yet
+        const result = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+            },
+            { $set: { twoFactorLastUsedStep: step } }
+        );
+        if (result.modifiedCount === 0) return false;
+
+        user.set("twoFactorLastUsedStep", step);
+        user.unmarkModified("twoFactorLastUsedStep");
+        return true;
+    }
+
+    if (recoveryCode) {
+        const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+        // Recovery codes are single-use: only the request that removes the code wins
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, twoFactorRecoveryCodes: codeHash },
+            { $pull: { twoFactorRecoveryCodes: codeHash } },
+            { new: true, projection: { twoFactorRecoveryCodes: 1 } }
+        );
+        if (!updated) return false;
+
+        user.set("twoFactorRecoveryCodes", updated.twoFactorRecoveryCodes);
+        user.unmarkModified("twoFactorRecoveryCodes");
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * @desc    Start 2FA enrollment: generate a secret and return its otpauth URI
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+        }
+
+        user.twoFactorPendingSecret = generateSecret();
+        await user.save();
+
+        res.json({
+            message: "Scan the code with your authenticator app, then confirm with a code",
+            secret: user.twoFactorPendingSecret,
+            otpauthUri: buildOtpauthUri(user.twoFactorPendingSecret, user.email)
+        });
+    } catch (error) {
+        console.error("Error in setupTwoFactor:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Finish 2FA enrollment with a first code and return recovery codes
+ * @route   POST /api/auth/2fa/confirm
+ * @access  Private
+ */
+exports.confirmTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+        }
+        if (!user.twoFactorPendingSecret) {
+            return res.status(400).json({ message: "Start two-factor setup first" });
+        }
+
+        const step = verifyCode(user.twoFactorPendingSecret, code);
+        if (step === null) {
+            return res.status(400).json({ message: "Invalid verification code" });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorRecoveryCodes = recoveryCodes.map(c => hashToken(normalizeRecoveryCode(c)));
+        await user.save();
+
+        res.json({
+            message: "Two-factor authentication enabled. Store these recovery codes somewhere safe, they are shown only once.",
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error("Error in confirmTwoFactor:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Disable 2FA (requires a current code or a recovery code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        const { code, recoveryCode } = req.body;
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+        }
+
+        if (!await checkSecondFactor(user, { code, recoveryCode })) {
+            return res.status(400).json({ message: "Invalid verification code" });
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorRecoveryCodes = [];
+        user.twoFactorLastUsedStep = undefined;
+        await user.save();
+
+        res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+        console.error("Error in disableTwoFactor:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Replace all recovery codes (requires a current code)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+        }
+
+        if (!await checkSecondFactor(user, { code })) {
+            return res.status(400).json({ message: "Invalid verification code" });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        user.twoFactorRecoveryCodes = recoveryCodes.map(c => hashToken(normalizeRecoveryCode(c)));
+        await user.save();
+
+        res.json({ message: "New recovery codes generated", recoveryCodes });
+    } catch (error) {
+        console.error("Error in regenerateRecoveryCodes:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Second login step: exchange the challenge token and a code for session tokens
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (requires a challenge token from /api/auth/login)
+ */
+exports.verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const userId = verifyChallengeToken(challengeToken);
+        if (!userId) {
+            return res.status(401).json({ message: "Login challenge expired. Please log in again." });
+        }
+
+        const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+        if (!user || !user.twoFactorEnabled) {
+            return res.status(401).json({ message: "Login challenge expired. Please log in again." });
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const clientIp = getClientIp(req);
+        const retryAfter = await reserveLoginAttempt(user.email, clientIp);
+        if (retryAfter) return sendTooManyRequests(res, retryAfter, "Too many failed login attempts. Please try again later.");
+
+        if (!await checkSecondFactor(user, { code, recoveryCode })) {
+            return res.status(400).json({ message: "Invalid verification code" });
+        }
+        await settleSuccessfulLogin(user.email, clientIp);
+
+        const suspension = getSuspensionDetails(user);
+        if (suspension) return res.status(403).json(suspension);
+
+        const response = await buildLoginResponse(user, req);
+        if (recoveryCode) {
+            response.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error("Error in verifyTwoFactorLogin:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
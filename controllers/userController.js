@@ -1,7 +1,28 @@
+const fs = require("fs");
+const bcrypt = require("bcryptjs");
 const User = require("../models/User");
+const Conversation = require("../models/Conversation");
 const Report = require("../models/Report");
+const VerificationToken = require("../models/VerificationToken");
+const DataExport = require("../models/DataExport");
 const mongoose = require("mongoose");
 const { getAllConnectedUsers } = require("../sockets/userSocketManager");
+const { hasBlocked, addBlock, removeBlock } = require("../utils/blocking");
+const { PRIVACY_SETTINGS, VISIBILITY_OPTIONS, PRIVACY_FIELDS, PUBLIC_PROFILE_FIELDS, toPublicProfile, refreshPresence } = require("../utils/privacy");
+const { getActiveStatus, isValidTimezone, parseStatusInput, broadcastStatusChange } = require("../utils/customStatus");
+const { processProfileImage, removeProfileImageFiles, getAvatarUrls } = require("../utils/avatar");
+const { encodeCursor, decodeCursor, buildSearchPipeline } = require("../utils/userSearch");
+const { createVerificationToken, consumeVerificationToken } = require("../utils/tokenUtils");
+const { sendMail } = require("../utils/mailer");
+const { emailChangeConfirmationEmail, emailChangeNoticeEmail, accountDeletionScheduledEmail } = require("../utils/mailTemplates");
+const { EXPORT_COOLDOWN_MS, runExportJob } = require("../utils/dataExport");
+const { getDeletionDate } = require("../utils/accountDeletion");
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_REGEX = /^[a-z0-9_.]{3,30}$/;
+const MAX_SEARCH_PAGE_SIZE = 50;
+const MAX_BIO_LENGTH = 300;
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
 
 /**
  * @desc    Get authenticated user's profile
@@ -14,7 +35,8 @@ exports.getUserProfile = async (req, res) => {
         const user = await User.findById(req.user._id).select("-password");
         if (!user) return res.status(404).json({ message: "User not found" });
 
-        res.json(user);
+        // An expired status may not have been swept yet
+        res.json({ ...user.toObject(), customStatus: getActiveStatus(user), avatar: getAvatarUrls(user) });
     } catch (error) {
         console.error("Error in getUserProfile:", error);
         res.status(500).json({ message: "Server Error" });
@@ -34,12 +56,14 @@ exports.getUserById = async (req, res) => {
             return res.status(400).json({ message: "Invalid user ID format" });
         }
 
-        const user = await User.findById(id).select("-password");
+        const user = await User.findById(id)
+            .select(`${PUBLIC_PROFILE_FIELDS} createdAt ${PRIVACY_FIELDS}`);
         if (!user) {
             return res.status(404).json({ message: "User not found" });
         }
 
-        res.json(user);
+        // Only the public profile, with what the user's privacy settings allow the caller to see
+        res.json({ ...toPublicProfile(user, req.user._id), createdAt: user.createdAt });
     } catch (error) {
         console.error("Error in getUserById:", error);
         res.status(500).json({ message: "Server Error" });
@@ -47,33 +71,57 @@ exports.getUserById = async (req, res) => {
 };
 
 /**
- * @desc    Search users by name or email
+ * @desc    Search the user directory by @username, name or full email address
+ *          Ranked exact > prefix > word match and paginated with ?cursor=<nextCursor>&limit=
  * @route   GET /api/user/search?query=...
  * @access  Private
  */
 exports.searchUsers = async (req, res) => {
     try {
-        const { query } = req.query;
+        const { query, cursor } = req.query;
         const currentUserId = req.user._id;
+        const term = typeof query === "string" ? query.trim().slice(0, 100) : "";
 
-        if (!query || query.trim().length < 2) {
+        if (term.replace(/^@/, "").length < 2) {
             return res.status(400).json({ 
                 message: "Search query must be at least 2 characters long" 
             });
         }
 
-        // Search users by name or email (case-insensitive)
-        const users = await User.find({
-            _id: { $ne: currentUserId }, // Exclude current user
-            $or: [
-                { name: { $regex: query, $options: 'i' } },
-                { email: { $regex: query, $options: 'i' } }
-            ]
-        })
-        .select("-password")
-        .limit(20); // Limit results to prevent large responses
+        let after = null;
+        if (cursor) {
+            after = decodeCursor(cursor);
+            if (!after) {
+                return res.status(400).json({ message: "Invalid cursor" });
+            }
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_SEARCH_PAGE_SIZE);
 
-        res.json({ users });
+        const results = await User.aggregate(buildSearchPipeline(term, {
+            excludeIds: [currentUserId],
+            after,
+            limit,
+            project: `${PUBLIC_PROFILE_FIELDS} email ${PRIVACY_FIELDS}`
+        }));
+
+        const hasMore = results.length > limit;
+        const page = results.slice(0, limit);
+        const contactIds = (req.user.contacts || []).map(id => id.toString());
+
+        const users = page.map(result => {
+            // The email is only returned to someone who already typed it in full
+            return {
+                ...toPublicProfile(result, currentUserId),
+                ...(result.matchedEmail ? { email: result.email } : {}),
+                isContact: contactIds.includes(result._id.toString())
+            };
+        });
+
+        res.json({
+            users,
+            nextCursor: hasMore ? encodeCursor({ rank: page[page.length - 1].searchRank, _id: page[page.length - 1]._id }) : null
+        });
     } catch (error) {
         console.error("Error in searchUsers:", error);
         res.status(500).json({ message: "Server Error" });
@@ -81,25 +129,118 @@ exports.searchUsers = async (req, res) => {
 };
 
 /**
- * @desc    Update authenticated user's profile (name, email, and profile image)
+ * @desc    Update authenticated user's profile (name, username, bio, timezone, email and profile image)
+ *          A new email only takes effect once confirmed through the link sent to it.
  * @route   PUT /api/user/updateProfile
  * @access  Private
  */
 exports.updateUserProfile = async (req, res) => {
     try {
-        // Get updated name and email from request body
-        const { name, email } = req.body;
-        let updatedData = { name, email };
+        // Get updated profile fields from request body
+        const { name, username, bio, timezone, email } = req.body;
+        const updatedData = {};
+
+        if (name !== undefined) {
+            if (typeof name !== "string" || !name.trim()) {
+                return res.status(400).json({ message: "Name cannot be empty" });
+            }
+            updatedData.name = name.trim();
+        }
+
+        if (username !== undefined) {
+            const handle = typeof username === "string" ? username.trim().replace(/^@/, "").toLowerCase() : "";
+            if (!USERNAME_REGEX.test(handle)) {
+                return res.status(400).json({
+                    message: "Username must be 3-30 characters: lowercase letters, numbers, dots and underscores"
+                });
+            }
+            if (await User.exists({ username: handle, _id: { $ne: req.user._id } })) {
+                return res.status(409).json({ message: "Username is already taken", code: "USERNAME_TAKEN" });
+            }
+            updatedData.username = handle;
+        }
+
+        if (bio !== undefined) {
+            if (bio !== null && typeof bio !== "string") {
+                return res.status(400).json({ message: "Bio must be a string" });
+            }
+            const cleanBio = (bio || "").trim();
+            if (cleanBio.length > MAX_BIO_LENGTH) {
+                return res.status(400).json({ message: `Bio cannot be longer than ${MAX_BIO_LENGTH} characters` });
+            }
+            updatedData.bio = cleanBio;
+        }
+
+        // An empty value clears the time zone
+        if (timezone !== undefined) {
+            if (timezone && !isValidTimezone(timezone)) {
+                return res.status(400).json({ message: "Unknown time zone, use an IANA name like Europe/Berlin" });
+            }
+            updatedData.timezone = timezone || null;
+        }
 
-        // If a new profile image is uploaded, handle the file locally
+        // Changing the email starts a pending change instead of overwriting it
+        const newEmail = typeof email === "string" ? email.trim() : null;
+        const emailChanged = !!newEmail && newEmail !== req.user.email;
+        if (emailChanged) {
+            if (!EMAIL_REGEX.test(newEmail)) {
+                return res.status(400).json({ message: "Invalid email address" });
+            }
+            if (await User.exists({ email: newEmail, _id: { $ne: req.user._id } })) {
+                return res.status(409).json({ message: "Email is already in use", code: "EMAIL_IN_USE" });
+            }
+            updatedData.pendingEmail = newEmail;
+            updatedData.pendingEmailRequestedAt = new Date();
+        }
+
+        // A new profile image is validated, cropped and stored at every size before anything is saved
+        let newImageSizes = null;
         if (req.file) {
-            updatedData.profileImage = `/uploads/${req.file.filename}`;
+            try {
+                newImageSizes = await processProfileImage(req.file.buffer, req.user._id);
+            } catch (error) {
+                if (error.isInvalidImage) {
+                    return res.status(400).json({ message: error.message, code: "INVALID_IMAGE" });
+                }
+                throw error;
+            }
+            updatedData.profileImage = newImageSizes.medium;
+            updatedData.profileImageSizes = newImageSizes;
         }
 
         // Use req.user._id from JWT instead of req.params.id
-        const user = await User.findByIdAndUpdate(req.user._id, updatedData, { new: true }).select("-password");
+        let user;
+        try {
+            user = await User.findByIdAndUpdate(req.user._id, updatedData, { new: true }).select("-password");
+        } catch (error) {
+            if (newImageSizes) await removeProfileImageFiles({ profileImageSizes: newImageSizes });
+            // Someone else took the username between the check above and the update
+            if (error.code === 11000) {
+                return res.status(409).json({ message: "Username is already taken", code: "USERNAME_TAKEN" });
+            }
+            throw error;
+        }
+
+        // The previous picture is no longer referenced
+        if (newImageSizes) {
+            await removeProfileImageFiles(req.user);
+        }
+
+        if (emailChanged) {
+            // Confirmation goes to the new address, a notice with a cancel link to the current one
+            const confirmToken = await createVerificationToken(user._id, "email_change", EMAIL_CHANGE_TTL_MS);
+            const cancelToken = await createVerificationToken(user._id, "email_change_cancel", EMAIL_CHANGE_TTL_MS);
+            await sendMail(emailChangeConfirmationEmail(user, newEmail, confirmToken));
+            await sendMail(emailChangeNoticeEmail(user, newEmail, cancelToken));
+
+            return res.json({
+                message: "Profile updated. Check your new email address to confirm the change.",
+                user,
+                avatar: getAvatarUrls(user)
+            });
+        }
 
-        res.json({ message: "Profile updated successfully", user });
+        res.json({ message: "Profile updated successfully", user, avatar: getAvatarUrls(user) });
     } catch (error) {
         console.error("Error in updateUserProfile:", error);
         res.status(500).json({ message: "Server Error" });
@@ -107,34 +248,112 @@ exports.updateUserProfile = async (req, res) => {
 };
 
 /**
- * @desc    Get list of online users and last seen info for offline users
+ * @desc    Confirm a pending email change with the token sent to the new address
+ * @route   POST /api/user/email/confirm
+ * @access  Public (requires a valid confirmation token)
+ */
+exports.confirmEmailChange = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const confirmToken = await consumeVerificationToken(token, "email_change");
+        if (!confirmToken) {
+            return res.status(400).json({ message: "Invalid or expired confirmation link" });
+        }
+
+        const user = await User.findById(confirmToken.user);
+        if (!user || !user.pendingEmail) {
+            return res.status(400).json({ message: "No pending email change" });
+        }
+
+        // The address may have been taken since the change was requested
+        if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+            return res.status(409).json({ message: "Email is already in use", code: "EMAIL_IN_USE" });
+        }
+
+        user.email = user.pendingEmail;
+        user.pendingEmail = null;
+        user.pendingEmailRequestedAt = undefined;
+        // Following the link proves ownership of the new address
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+
+        try {
+            await user.save();
+        } catch (saveError) {
+            if (saveError.code === 11000) {
+                return res.status(409).json({ message: "Email is already in use", code: "EMAIL_IN_USE" });
+            }
+            throw saveError;
+        }
+
+        await VerificationToken.deleteMany({ user: user._id, type: "email_change_cancel", usedAt: null });
+
+        res.json({ message: "Email address updated successfully", email: user.email });
+    } catch (error) {
+        console.error("Error in confirmEmailChange:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Cancel a pending email change with the token sent to the current address
+ * @route   POST /api/user/email/cancel
+ * @access  Public (requires a valid cancel token)
+ */
+exports.cancelEmailChange = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const cancelToken = await consumeVerificationToken(token, "email_change_cancel");
+        if (!cancelToken) {
+            return res.status(400).json({ message: "Invalid or expired link" });
+        }
+
+        await User.findByIdAndUpdate(cancelToken.user, {
+            pendingEmail: null,
+            $unset: { pendingEmailRequestedAt: 1 }
+        });
+        await VerificationToken.deleteMany({ user: cancelToken.user, type: "email_change", usedAt: null });
+
+        res.json({ message: "Email change cancelled" });
+    } catch (error) {
+        console.error("Error in cancelEmailChange:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Get online status and last seen info of the caller's contacts and the people
+ *          they share a conversation with
  * @route   GET /api/user/online
  * @access  Private
  */
 exports.getOnlineUsers = async (req, res) => {
     try {
+        const userId = req.user._id;
+
         // Get all connected user IDs from the socket manager
         const onlineUserIds = getAllConnectedUsers();
 
-        // Get user details for online users
-        const onlineUsers = await User.find({
-            _id: { $in: onlineUserIds }
-        }).select("_id name email profileImage isOnline lastSeen");
+        // Only people the caller knows, never the whole directory
+        const conversationPartnerIds = await Conversation.distinct("participants", {
+            participants: userId,
+            visibleTo: userId
+        });
+        const knownIds = [...new Set([...(req.user.contacts || []), ...conversationPartnerIds].map(id => id.toString()))]
+            .filter(id => id !== userId.toString());
 
-        // Get all users with their online status and last seen info
-        const allUsers = await User.find({})
-            .select("_id name email profileImage isOnline lastSeen")
+        const allUsers = await User.find({ _id: { $in: knownIds } })
+            .select(`${PUBLIC_PROFILE_FIELDS} ${PRIVACY_FIELDS}`)
             .sort({ lastSeen: -1 });
 
+        // Online status, last seen and photo follow each user's privacy settings
+        // (users who blocked the caller hide all of them)
         res.json({
             success: true,
-            onlineUsers: allUsers.map(user => ({
-                _id: user._id,
-                name: user.name,
-                email: user.email,
-                profileImage: user.profileImage,
-                isOnline: onlineUserIds.includes(user._id.toString()),
-                lastSeen: user.lastSeen
+            onlineUsers: allUsers.map(user => toPublicProfile(user, req.user._id, {
+                isOnline: onlineUserIds.includes(user._id.toString())
             }))
         });
     } catch (error) {
@@ -210,3 +429,439 @@ exports.reportUser = async (req, res) => {
         res.status(500).json({ message: "Server Error" });
     }
 };
+
+/**
+ * @desc    Block a user
+ * @route   POST /api/user/:id/block
+ * @access  Private
+ */
+exports.blockUser = async (req, res) => {
+    try {
+        const { id: blockedUserId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.Types.ObjectId.isValid(blockedUserId)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        if (blockedUserId === userId.toString()) {
+            return res.status(400).json({ message: "You cannot block yourself" });
+        }
+
+        if (!(await User.exists({ _id: blockedUserId }))) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        await addBlock(req.app.get("io"), userId, blockedUserId);
+
+        res.json({ message: "User blocked successfully" });
+    } catch (error) {
+        console.error("Error in blockUser:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Unblock a user
+ * @route   DELETE /api/user/:id/block
+ * @access  Private
+ */
+exports.unblockUser = async (req, res) => {
+    try {
+        const { id: blockedUserId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.Types.ObjectId.isValid(blockedUserId)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        if (!(await removeBlock(req.app.get("io"), userId, blockedUserId))) {
+            return res.status(404).json({ message: "User is not blocked" });
+        }
+
+        res.json({ message: "User unblocked successfully" });
+    } catch (error) {
+        console.error("Error in unblockUser:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    List users blocked by the authenticated user
+ * @route   GET /api/user/blocked
+ * @access  Private
+ */
+exports.getBlockedUsers = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .populate("blockedUsers", `${PUBLIC_PROFILE_FIELDS} ${PRIVACY_FIELDS}`);
+
+        res.json({ blockedUsers: user.blockedUsers.map(blocked => toPublicProfile(blocked, req.user._id)) });
+    } catch (error) {
+        console.error("Error in getBlockedUsers:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    List the authenticated user's contacts
+ * @route   GET /api/user/contacts
+ * @access  Private
+ */
+exports.getContacts = async (req, res) => {
+    try {
+        // Contacts can be added without their consent, so they only get the public profile
+        const user = await User.findById(req.user._id)
+            .populate("contacts", `${PUBLIC_PROFILE_FIELDS} ${PRIVACY_FIELDS}`);
+
+        res.json({ contacts: user.contacts.map(contact => toPublicProfile(contact, req.user._id)) });
+    } catch (error) {
+        console.error("Error in getContacts:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Add a user to contacts (their messages skip the message requests)
+ * @route   POST /api/user/:id/contact
+ * @access  Private
+ */
+exports.addContact = async (req, res) => {
+    try {
+        const { id: contactId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.Types.ObjectId.isValid(contactId)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        if (contactId === userId.toString()) {
+            return res.status(400).json({ message: "You cannot add yourself as a contact" });
+        }
+
+        if (!(await User.exists({ _id: contactId }))) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (hasBlocked(req.user, contactId)) {
+            return res.status(400).json({ message: "Unblock this user before adding them as a contact" });
+        }
+
+        await User.updateOne({ _id: userId }, { $addToSet: { contacts: contactId } });
+
+        res.json({ message: "Contact added successfully" });
+    } catch (error) {
+        console.error("Error in addContact:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Remove a user from contacts
+ * @route   DELETE /api/user/:id/contact
+ * @access  Private
+ */
+exports.removeContact = async (req, res) => {
+    try {
+        const { id: contactId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(contactId)) {
+            return res.status(400).json({ message: "Invalid user ID format" });
+        }
+
+        const result = await User.updateOne({ _id: req.user._id }, { $pull: { contacts: contactId } });
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ message: "Contact not found" });
+        }
+
+        res.json({ message: "Contact removed successfully" });
+    } catch (error) {
+        console.error("Error in removeContact:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Get the authenticated user's privacy settings
+ * @route   GET /api/user/privacy
+ * @access  Private
+ */
+exports.getPrivacySettings = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select("privacy");
+
+        res.json({ privacy: user.privacy });
+    } catch (error) {
+        console.error("Error in getPrivacySettings:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Update privacy settings (lastSeen, onlineStatus, profilePhoto, readReceipts)
+ *          Each value is one of: everyone, contacts, nobody
+ * @route   PUT /api/user/privacy
+ * @access  Private
+ */
+exports.updatePrivacySettings = async (req, res) => {
+    try {
+        const update = {};
+
+        for (const setting of PRIVACY_SETTINGS) {
+            const value = req.body[setting];
+            if (value === undefined) continue;
+
+            if (!VISIBILITY_OPTIONS.includes(value)) {
+                return res.status(400).json({
+                    message: `${setting} must be one of: ${VISIBILITY_OPTIONS.join(", ")}`
+                });
+            }
+            update[`privacy.${setting}`] = value;
+        }
+
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({ message: "No privacy settings provided" });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+            .select(`lastSeen ${PRIVACY_FIELDS}`);
+
+        // Apply the new settings to what connected users currently see
+        if ("privacy.onlineStatus" in update || "privacy.lastSeen" in update) {
+            refreshPresence(req.app.get("io"), user, getAllConnectedUsers().includes(user._id.toString()));
+        }
+
+        res.json({ message: "Privacy settings updated", privacy: user.privacy });
+    } catch (error) {
+        console.error("Error in updatePrivacySettings:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Set a custom status (emoji and/or text) with an optional auto-clear time
+ *          Body: { emoji, text, clearAfterMinutes } or { emoji, text, expiresAt }
+ * @route   PUT /api/user/status
+ * @access  Private
+ */
+exports.setCustomStatus = async (req, res) => {
+    try {
+        const { status, error } = parseStatusInput(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, { customStatus: status }, { new: true })
+            .select("customStatus blockedUsers");
+
+        await broadcastStatusChange(req.app.get("io"), user);
+
+        res.json({ message: "Status updated", customStatus: getActiveStatus(user) });
+    } catch (error) {
+        console.error("Error in setCustomStatus:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Clear the custom status
+ * @route   DELETE /api/user/status
+ * @access  Private
+ */
+exports.clearCustomStatus = async (req, res) => {
+    try {
+        const user = await User.findByIdAndUpdate(req.user._id, { $unset: { customStatus: 1 } }, { new: true })
+            .select("customStatus blockedUsers");
+
+        await broadcastStatusChange(req.app.get("io"), user);
+
+        res.json({ message: "Status cleared", customStatus: null });
+    } catch (error) {
+        console.error("Error in clearCustomStatus:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Remove the profile picture (the initials avatar is shown instead)
+ * @route   DELETE /api/user/profileImage
+ * @access  Private
+ */
+exports.removeProfileImage = async (req, res) => {
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { profileImage: "", $unset: { profileImageSizes: 1 } },
+            { new: true }
+        ).select("-password");
+
+        await removeProfileImageFiles(req.user);
+
+        res.json({ message: "Profile image removed", avatar: getAvatarUrls(user) });
+    } catch (error) {
+        console.error("Error in removeProfileImage:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+// Client-facing view of a data export
+const formatDataExport = (job) => ({
+    _id: job._id,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt || null,
+    expiresAt: job.expiresAt,
+    fileSize: job.fileSize,
+    downloadUrl: job.status === "ready" ? `/api/user/me/export/${job._id}/download` : null
+});
+
+/**
+ * @desc    Request an export of the user's data (profile, conversations, sent messages, uploads)
+ *          The archive is built in the background; poll the export or wait for "dataExportReady"
+ * @route   GET /api/user/me/export
+ * @access  Private
+ */
+exports.requestDataExport = async (req, res) => {
+    try {
+        // Reuse an export that is still being built or was created recently
+        const recent = await DataExport.findOne({
+            user: req.user._id,
+            $or: [
+                { status: { $in: ["pending", "processing"] } },
+                { status: "ready", createdAt: { $gt: new Date(Date.now() - EXPORT_COOLDOWN_MS) } }
+            ]
+        }).sort({ createdAt: -1 });
+
+        if (recent) {
+            return res.status(recent.status === "ready" ? 200 : 202).json({
+                message: recent.status === "ready" ? "Your data export is ready" : "Your data export is being prepared",
+                export: formatDataExport(recent)
+            });
+        }
+
+        const job = await DataExport.create({ user: req.user._id });
+
+        // Build it after responding; the background sweep retries it if the server restarts
+        const io = req.app.get("io");
+        setImmediate(() => {
+            runExportJob(job._id, io).catch(error => console.error("Error in runExportJob:", error));
+        });
+
+        res.status(202).json({ message: "Your data export is being prepared", export: formatDataExport(job) });
+    } catch (error) {
+        console.error("Error in requestDataExport:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Get the status of a data export
+ * @route   GET /api/user/me/export/:exportId
+ * @access  Private
+ */
+exports.getDataExport = async (req, res) => {
+    try {
+        const { exportId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(exportId)) {
+            return res.status(400).json({ message: "Invalid export ID format" });
+        }
+
+        const job = await DataExport.findOne({ _id: exportId, user: req.user._id });
+        if (!job) {
+            return res.status(404).json({ message: "Export not found" });
+        }
+
+        res.json({ export: formatDataExport(job) });
+    } catch (error) {
+        console.error("Error in getDataExport:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Download a finished data export
+ * @route   GET /api/user/me/export/:exportId/download
+ * @access  Private
+ */
+exports.downloadDataExport = async (req, res) => {
+    try {
+        const { exportId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(exportId)) {
+            return res.status(400).json({ message: "Invalid export ID format" });
+        }
+
+        const job = await DataExport.findOne({ _id: exportId, user: req.user._id });
+        if (!job || job.status !== "ready" || !fs.existsSync(job.filePath)) {
+            return res.status(404).json({ message: "Export not found or not ready" });
+        }
+
+        const date = job.completedAt.toISOString().slice(0, 10);
+        res.download(job.filePath, `quickchat-data-${date}.zip`);
+    } catch (error) {
+        console.error("Error in downloadDataExport:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Schedule deletion of the account after a grace period
+ *          Requires the current password for accounts that have one
+ * @route   DELETE /api/user/me
+ * @access  Private
+ */
+exports.requestAccountDeletion = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.password) {
+            const { password } = req.body || {};
+            const isMatch = typeof password === "string" && await bcrypt.compare(password, user.password);
+            if (!isMatch) {
+                return res.status(400).json({ message: "Password is incorrect" });
+            }
+        }
+
+        if (!user.deletionScheduledFor) {
+            user.deletionRequestedAt = new Date();
+            user.deletionScheduledFor = getDeletionDate(user.deletionRequestedAt);
+            await user.save();
+
+            try {
+                await sendMail(accountDeletionScheduledEmail(user, user.deletionScheduledFor));
+            } catch (mailError) {
+                console.error("Error sending account deletion email:", mailError);
+            }
+        }
+
+        res.json({
+            message: `Your account will be deleted on ${user.deletionScheduledFor.toISOString()}. Sign in and cancel the deletion from your account settings before then.`,
+            deletionScheduledFor: user.deletionScheduledFor
+        });
+    } catch (error) {
+        console.error("Error in requestAccountDeletion:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+/**
+ * @desc    Cancel a scheduled account deletion
+ * @route   POST /api/user/me/deletion/cancel
+ * @access  Private
+ */
+exports.cancelAccountDeletion = async (req, res) => {
+    try {
+        const user = await User.findOneAndUpdate(
+            { _id: req.user._id, deletionScheduledFor: { $ne: null } },
+            { deletionRequestedAt: null, deletionScheduledFor: null },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ message: "Your account is not scheduled for deletion" });
+        }
+
+        res.json({ message: "Account deletion cancelled" });
+    } catch (error) {
+        console.error("Error in cancelAccountDeletion:", error);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
@@ -1,36 +1,133 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+
+// How often the session's "last used" time is refreshed by regular API traffic
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Errors whose message is safe to send back to the client; `details` replaces the default response body
+const authError = (message, { status = 401, details = null } = {}) =>
+    Object.assign(new Error(message), { isAuthError: true, status, details });
+
+/**
+ * Response body explaining why a suspended account is refused, or null if the account is usable.
+ * `suspendedUntil` is null for permanent bans.
+ */
+const getSuspensionDetails = (user) => {
+    if (!user.isSuspended()) return null;
+
+    return {
+        message: user.suspendedUntil
+            ? `Your account is suspended until ${user.suspendedUntil.toISOString()}.`
+            : "Your account has been banned.",
+        code: user.suspendedUntil ? "ACCOUNT_SUSPENDED" : "ACCOUNT_BANNED",
+        reason: user.suspensionReason || null,
+        suspendedUntil: user.suspendedUntil
+    };
+};
+
+/**
+ * Verify an access token and load the user and session it belongs to.
+ * Shared by the REST middleware and the Socket.io handshake.
+ * Throws if the token is invalid or expired, or its session was revoked.
+ */
+const authenticateAccessToken = async (token) => {
+    // Verify the token using the JWT secret key
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+    if (!decoded.sessionId) {
+        throw authError("Session expired. Please log in again.");
+    }
+
+    const session = await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive() || session.user.toString() !== decoded.userId.toString()) {
+        throw authError("Session has been revoked. Please log in again.");
+    }
+
+    // Fetch user details from the database (excluding password)
+    const user = await User.findById(decoded.userId).select("-password");
+    if (!user) {
+        throw authError("User not found. Unauthorized access.");
+    }
+
+    const suspension = getSuspensionDetails(user);
+    if (suspension) {
+        throw authError(suspension.message, { status: 403, details: suspension });
+    }
+
+    // Tokens issued before the last password change are no longer valid
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+        throw authError("Password was changed. Please log in again.");
+    }
+
+    if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+    }
+
+    return { user, session, decoded };
+};
 
 // Middleware to protect routes that require authentication
 const protect = async (req, res, next) => {
-    let token;
-
     // Check if authorization header exists and starts with "Bearer"
-    if (req.headers.authorization?.startsWith("Bearer")) {
-        try {
-            // Extract the token from the authorization header
-            token = req.headers.authorization.split(" ")[1];
-
-            // Verify the token using the JWT secret key
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            // Fetch user details from the database (excluding password)
-            req.user = await User.findById(decoded.userId).select("-password");
-
-            if (!req.user) {
-                return res.status(401).json({ message: "User not found. Unauthorized access." });
-            }
-
-            // Move to the next middleware or route handler
-            next();
-        } catch (error) {
-            console.error("JWT Authentication Error:", error);
-            return res.status(401).json({ message: "Invalid or expired token" });
-        }
-    } else {
+    if (!req.headers.authorization?.startsWith("Bearer")) {
         return res.status(401).json({ message: "No token provided. Access denied." });
     }
+
+    try {
+        // Extract the token from the authorization header
+        const token = req.headers.authorization.split(" ")[1];
+        const { user, session } = await authenticateAccessToken(token);
+
+        req.user = user;
+        req.session = session;
+    } catch (error) {
+        console.error("JWT Authentication Error:", error.message);
+        if (error.isAuthError) {
+            return res.status(error.status).json(error.details || { message: error.message });
+        }
+        return res.status(401).json({ message: "Invalid or expired token" });
+    }
+
+    // Move to the next middleware or route handler
+    next();
+};
+
+// Unverified accounts are limited until they confirm their email address
+const isEmailUnverified = (user) => user.emailVerified === false;
+
+// Middleware to restrict routes to accounts with a verified email (use after protect)
+const requireVerifiedEmail = (req, res, next) => {
+    if (isEmailUnverified(req.user)) {
+        return res.status(403).json({
+            message: "Please verify your email address to use this feature.",
+            code: "EMAIL_NOT_VERIFIED"
+        });
+    }
+    next();
+};
+
+/**
+ * Middleware factory restricting a route to the given roles (use after protect), e.g.
+ *   router.get("/users", protect, authorize("moderator", "admin"), listUsers);
+ */
+const authorize = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user?.role || "user")) {
+        return res.status(403).json({
+            message: "You do not have permission to perform this action.",
+            code: "FORBIDDEN"
+        });
+    }
+    next();
 };
 
 // Export the middleware
-module.exports = { protect };
+module.exports = {
+    protect,
+    authorize,
+    requireVerifiedEmail,
+    isEmailUnverified,
+    getSuspensionDetails,
+    authenticateAccessToken
+};
@@ -1,6 +1,7 @@
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const { MAX_AVATAR_UPLOAD_BYTES } = require("../utils/avatar");
 
 // Ensure uploads directory exists
 const uploadDir = path.join(__dirname, "..", "uploads");
@@ -19,4 +20,30 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage });
 
+// Profile and group pictures are kept in memory and only written to disk once processed (see utils/avatar.js)
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AVATAR_UPLOAD_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        // The content itself is validated when the image is decoded
+        cb(null, file.mimetype.startsWith("image/"));
+    }
+});
+
+// Accept an optional image in `fieldName`, answering upload errors with a 400/413 JSON response
+const uploadImage = (fieldName) => (req, res, next) => {
+    imageUpload.single(fieldName)(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === "LIMIT_FILE_SIZE") {
+            return res.status(413).json({
+                message: `Image cannot be larger than ${MAX_AVATAR_UPLOAD_BYTES / (1024 * 1024)} MB`
+            });
+        }
+        return res.status(400).json({ message: error.message || "Invalid upload" });
+    });
+};
+
 module.exports = upload;
+module.exports.uploadProfileImage = uploadImage("profileImage");
+module.exports.uploadGroupImage = uploadImage("groupImage");
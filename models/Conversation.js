@@ -18,6 +18,12 @@ const conversationSchema = new mongoose.Schema({
     type: String, 
     default: null 
   },
+  // The group picture at every size (see utils/avatar.js); groupImage is the medium one
+  groupImageSizes: {
+    small: { type: String },
+    medium: { type: String },
+    large: { type: String }
+  },
   lastMessage: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: "Message" 
@@ -32,15 +38,69 @@ const conversationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: "User" 
   }],
+  // Group roles (see utils/groupPermissions.js); everyone else in participants is a member
+  owner: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: "User" 
+  },
+  admins: [{ 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: "User" 
+  }],
+  // Who may do what in a group: "members" (everyone) or "admins" only; unset means the default
+  groupPermissions: {
+    addMembers: { type: String, enum: ["members", "admins"] },
+    editInfo: { type: String, enum: ["members", "admins"] },
+    pinMessages: { type: String, enum: ["members", "admins"] },
+    sendMessages: { type: String, enum: ["members", "admins"] }
+  },
   // Track who initiated the conversation
   initiatedBy: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: "User" 
+  },
+  // Participants with a pending message request: the first message came from someone
+  // who isn't in their contacts. They get visibleTo once they accept.
+  requestedTo: [{ 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: "User" 
+  }],
+  // Participants who declined the request; later messages don't bring it back
+  declinedBy: [{ 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: "User" 
+  }],
+  // Personal settings of each participant (see utils/conversationSettings.js).
+  // Only participants who changed something have an entry.
+  participantSettings: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    mutedUntil: { type: Date, default: null },
+    archivedAt: { type: Date, default: null },
+    pinnedAt: { type: Date, default: null },
+    markedUnread: { type: Boolean, default: false },
+    // Messages up to this time count as read (see utils/unreadCounts.js)
+    lastReadAt: { type: Date, default: null },
+    // "Clear history": messages up to this time are hidden from this participant only
+    clearedAt: { type: Date, default: null }
+  }]
+}, {
+  timestamps: true,
+  // Settings are private to each participant and never sent as part of the conversation
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.participantSettings;
+      return ret;
+    }
   }
-}, { timestamps: true });
+});
 
 // Index for efficient queries
 conversationSchema.index({ participants: 1 });
 conversationSchema.index({ lastActivity: -1 });
+// Paginated conversation lists (see utils/conversationList.js)
+conversationSchema.index({ visibleTo: 1, lastActivity: -1, _id: -1 });
+conversationSchema.index({ requestedTo: 1, lastActivity: -1 });
+conversationSchema.index({ "participantSettings.user": 1 });
 
 module.exports = mongoose.model("Conversation", conversationSchema);
\ No newline at end of file
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Record that a conversation left a user's list because they left or were removed from it, or it
+// was deleted for everyone. Lets incremental syncs of the conversation list (changedSince)
+// report it in removedIds. Kept for CONVERSATION_REMOVAL_RETENTION_DAYS (see utils/conversationList.js).
+const conversationRemovalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // The conversation may no longer exist
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  removedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+conversationRemovalSchema.index({ user: 1, removedAt: 1 });
+// Let MongoDB purge records older than any sync that may still ask for them
+conversationRemovalSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ConversationRemoval", conversationRemovalSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// A personal data export requested by a user. The archive is built in the background
+// (see utils/dataExport.js) and can be downloaded until it expires.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  // Archive location on disk, outside the publicly served uploads directory
+  filePath: {
+    type: String,
+    default: null
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // The archive file is deleted after this date
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Index for efficient queries
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1 });
+dataExportSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model("DataExport", dataExportSchema);
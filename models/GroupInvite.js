@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// Shareable link that lets anyone holding it join a group (see the invite endpoints in controllers/groupController.js).
+// Unlike login tokens the invite token is stored as is: admins can list links and share them again.
+const groupInviteSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Conversation",
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Optional limits; null means no expiry / unlimited uses
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxUses: {
+    type: Number,
+    default: null
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  // Whether an admin has to approve people who use the link before they are added
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  joinRequests: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    requestedAt: { type: Date, default: Date.now }
+  }],
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, { timestamps: true });
+
+// Index for efficient queries
+groupInviteSchema.index({ conversation: 1, createdAt: -1 });
+groupInviteSchema.index({ "joinRequests.user": 1 });
+
+// A link can be used while it is neither revoked, expired nor used up
+groupInviteSchema.methods.isUsable = function () {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  return this.maxUses === null || this.useCount < this.maxUses;
+};
+
+module.exports = mongoose.model("GroupInvite", groupInviteSchema);
@@ -22,6 +22,23 @@ const messageSchema = new mongoose.Schema(
             user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
             seenAt: { type: Date, default: Date.now }
         }],
+        // Participants mentioned with @username in the content
+        mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+        // Recipients who never receive this message because they blocked the sender.
+        // Never sent to clients: it would tell the sender who blocked them.
+        withheldFrom: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], select: false },
+        // System messages describe group changes ("Alice added Bob"); the sender is the user who made the change
+        isSystem: { type: Boolean, default: false },
+        systemEvent: {
+            action: {
+                type: String,
+                enum: [
+                    "members_added", "member_joined", "member_removed", "member_left", "group_renamed", "group_image_changed",
+                    "group_image_removed", "role_changed", "owner_changed", "permissions_changed"
+                ]
+            },
+            targets: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }] // Users the change applies to
+        },
         isEphemeral: { type: Boolean, default: false }, // True if this message is a one-time view photo
         ephemeralViewed: { type: Boolean, default: false }, // Set to true once the receiver views the photo
         isEdited: { type: Boolean, default: false }, // Indicates if the message has been edited
@@ -37,7 +54,15 @@ const messageSchema = new mongoose.Schema(
             createdAt: { type: Date, default: Date.now } // When the reaction was added
         }]
     },
-    { timestamps: true } // Automatically adds createdAt and updatedAt fields
+    {
+        timestamps: true, // Automatically adds createdAt and updatedAt fields
+        toJSON: {
+            transform: (doc, ret) => {
+                delete ret.withheldFrom;
+                return ret;
+            }
+        }
+    }
 );
 
 // Index for efficient queries
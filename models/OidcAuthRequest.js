@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Pending OIDC authorization request, looked up by its state when the provider redirects back.
+// Holds the PKCE verifier and nonce so they never leave the server.
+const oidcAuthRequestSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Frontend URL the user is sent back to after signing in
+  returnTo: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// Let MongoDB purge abandoned requests
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcAuthRequest", oidcAuthRequestSchema);
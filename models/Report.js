@@ -11,6 +11,11 @@ const reportSchema = new mongoose.Schema({
     ref: "User", 
     required: true 
   },
+  // Set when the reported account was deleted; reportedUser is then an anonymous placeholder
+  reportedUserDeleted: {
+    type: Boolean,
+    default: false
+  },
   reason: { 
     type: String, 
     required: true,
@@ -24,10 +29,38 @@ const reportSchema = new mongoose.Schema({
     type: String, 
     enum: ['pending', 'reviewed', 'resolved'],
     default: 'pending'
+  },
+  // Moderation workflow
+  reviewedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: "User" 
+  },
+  reviewedAt: { 
+    type: Date 
+  },
+  resolvedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: "User" 
+  },
+  resolvedAt: { 
+    type: Date 
+  },
+  resolutionNote: { 
+    type: String, 
+    maxlength: 1000 
+  },
+  // Action taken against the reported user when the report was resolved
+  actionTaken: { 
+    type: String, 
+    enum: ['none', 'warn', 'suspend', 'ban'],
+    default: 'none'
   }
 }, { timestamps: true });
 
 // Prevent duplicate reports from same user for same target
 reportSchema.index({ reporter: 1, reportedUser: 1 }, { unique: true });
+// Moderation queue queries
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ reportedUser: 1 });
 
 module.exports = mongoose.model("Report", reportSchema);
\ No newline at end of file
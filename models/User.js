@@ -2,11 +2,120 @@ const mongoose = require("mongoose");
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
+  // Lowercased name for indexed prefix search (see utils/userSearch.js), kept in sync by the hooks below
+  searchName: { type: String, select: false },
+  // Public @handle; optional for accounts created before handles existed
+  username: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_.]{3,30}$/
+  },
   email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
+  // Optional for accounts that only sign in through an external identity provider
+  password: {
+    type: String,
+    required: function () { return !this.identities || this.identities.length === 0; }
+  },
+  passwordChangedAt: { type: Date }, // Access tokens issued before this are rejected
+  role: { type: String, enum: ["user", "moderator", "admin"], default: "user" },
+  // Moderation: warnings issued to the user and the current suspension (no end date = banned)
+  warnings: [{
+    reason: { type: String },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "Report" },
+    issuedAt: { type: Date, default: Date.now }
+  }],
+  suspendedAt: { type: Date, default: null },
+  suspendedUntil: { type: Date, default: null },
+  suspensionReason: { type: String, default: null },
+  suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Account deletion requested by the user; the data is purged once the grace period ends
+  deletionRequestedAt: { type: Date, default: null },
+  deletionScheduledFor: { type: Date, default: null },
+  blockedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // Users this user has blocked
+  // Messages from contacts go straight to the conversation list; others arrive as message requests
+  contacts: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  // Who can see what (see utils/privacy.js)
+  privacy: {
+    lastSeen: { type: String, enum: ["everyone", "contacts", "nobody"], default: "everyone" },
+    onlineStatus: { type: String, enum: ["everyone", "contacts", "nobody"], default: "everyone" },
+    profilePhoto: { type: String, enum: ["everyone", "contacts", "nobody"], default: "everyone" },
+    readReceipts: { type: String, enum: ["everyone", "contacts", "nobody"], default: "everyone" }
+  },
+  // Set to false on registration until the email is confirmed.
+  // Accounts created before verification existed have no value and are treated as verified.
+  emailVerified: { type: Boolean },
+  emailVerifiedAt: { type: Date },
+  // New address waiting for confirmation through the link sent to it
+  pendingEmail: { type: String, default: null },
+  pendingEmailRequestedAt: { type: Date },
+  // External identities (OpenID Connect) linked to this account
+  identities: [{
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: { type: String },
+    linkedAt: { type: Date, default: Date.now }
+  }],
+  // TOTP two-factor authentication; secrets are never selected unless explicitly requested
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false }, // Set during enrollment until confirmed
+  twoFactorRecoveryCodes: { type: [String], select: false }, // Hashes of unused recovery codes
+  twoFactorLastUsedStep: { type: Number, select: false }, // Prevents replaying a code within its window
   profileImage: { type: String, default: "" }, // URL of profile picture
+  // The same picture at every size in AVATAR_SIZES (see utils/avatar.js); profileImage is the medium one
+  profileImageSizes: {
+    small: { type: String },
+    medium: { type: String },
+    large: { type: String }
+  },
+  bio: { type: String, maxlength: 300, default: "" },
+  // Custom status shown next to the name; cleared automatically after expiresAt (see utils/customStatus.js)
+  customStatus: {
+    emoji: { type: String },
+    text: { type: String, maxlength: 100 },
+    expiresAt: { type: Date },
+    updatedAt: { type: Date }
+  },
+  timezone: { type: String, default: null }, // IANA time zone name, e.g. "Europe/Berlin"
   isOnline: { type: Boolean, default: false }, // Online status
   lastSeen: { type: Date, default: Date.now }, // Last seen timestamp
 }, { timestamps: true });
 
+userSchema.index({ role: 1 });
+userSchema.index({ username: 1 }, { unique: true, partialFilterExpression: { username: { $type: "string" } } });
+// Directory search: prefixes of the name and word matches (see utils/userSearch.js)
+userSchema.index({ searchName: 1 });
+userSchema.index({ name: "text", username: "text" }, { default_language: "none", weights: { username: 2, name: 1 } });
+
+userSchema.pre("save", function (next) {
+  if (this.isModified("name")) this.searchName = this.name.toLowerCase();
+  next();
+});
+
+// Updates that set the name also set searchName (pipeline updates are left alone)
+userSchema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function (next) {
+  const update = this.getUpdate();
+  if (update && !Array.isArray(update)) {
+    const name = update.$set?.name ?? update.name;
+    if (typeof name === "string") this.set("searchName", name.toLowerCase());
+  }
+  next();
+});
+userSchema.index({ blockedUsers: 1 }); // Lookups of who blocked a given user
+userSchema.index({ "customStatus.expiresAt": 1 }, { sparse: true }); // Expired status sweep
+userSchema.index({ deletionScheduledFor: 1 }); // Account deletion sweep
+
+// Suspended until suspendedUntil, or indefinitely (banned) when no end date is set
+userSchema.methods.isSuspended = function () {
+  return !!this.suspendedAt && (!this.suspendedUntil || this.suspendedUntil > new Date());
+};
+
+// An external identity can only be linked to one account
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Single-use, expiring tokens sent to users by email (verification, password reset, ...).
+// Only a hash of the token is stored.
+const verificationTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['email_verification', 'password_reset', 'email_change', 'email_change_cancel', 'oidc_login']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Index for efficient queries
+verificationTokenSchema.index({ user: 1, type: 1 });
+// Let MongoDB purge expired tokens
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("VerificationToken", verificationTokenSchema);
@@ -0,0 +1,82 @@
+const express = require("express");
+const {
+    listUsers,
+    getUserDetails,
+    updateUserRole,
+    suspendUserAccount,
+    unsuspendUserAccount
+} = require("../controllers/adminController");
+const {
+    getReports,
+    getReportById,
+    updateReportStatus,
+    takeReportAction
+} = require("../controllers/reportController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List/search users (q, role, emailVerified, twoFactorEnabled, isOnline, provider, createdAfter, createdBefore, page, limit)
+ * @access  Private (moderator, admin)
+ */
+router.get("/users", protect, authorize("moderator", "admin"), listUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user's account details and active sessions
+ * @access  Private (moderator, admin)
+ */
+router.get("/users/:id", protect, authorize("moderator", "admin"), getUserDetails);
+
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (admin)
+ */
+router.put("/users/:id/role", protect, authorize("admin"), updateUserRole);
+
+/**
+ * @route   POST /api/admin/users/:id/suspension
+ * @desc    Suspend (durationHours) or ban (no duration) a user and disconnect their sockets
+ * @access  Private (moderator, admin)
+ */
+router.post("/users/:id/suspension", protect, authorize("moderator", "admin"), suspendUserAccount);
+
+/**
+ * @route   DELETE /api/admin/users/:id/suspension
+ * @desc    Lift a user's suspension or ban
+ * @access  Private (moderator, admin)
+ */
+router.delete("/users/:id/suspension", protect, authorize("moderator", "admin"), unsuspendUserAccount);
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    List reports (status, reason, reportedUser, page, limit)
+ * @access  Private (moderator, admin)
+ */
+router.get("/reports", protect, authorize("moderator", "admin"), getReports);
+
+/**
+ * @route   GET /api/admin/reports/:id
+ * @desc    Get a report with recent messages between the two users
+ * @access  Private (moderator, admin)
+ */
+router.get("/reports/:id", protect, authorize("moderator", "admin"), getReportById);
+
+/**
+ * @route   PATCH /api/admin/reports/:id
+ * @desc    Mark a report as reviewed or resolved
+ * @access  Private (moderator, admin)
+ */
+router.patch("/reports/:id", protect, authorize("moderator", "admin"), updateReportStatus);
+
+/**
+ * @route   POST /api/admin/reports/:id/action
+ * @desc    Warn, suspend or ban the reported user and resolve the report
+ * @access  Private (moderator, admin)
+ */
+router.post("/reports/:id/action", protect, authorize("moderator", "admin"), takeReportAction);
+
+module.exports = router;
@@ -1,11 +1,173 @@
 const express = require("express");
-const { registerUser, loginUser, verifyToken } = require("../controllers/authController");
+const {
+  registerUser,
+  loginUser,
+  refreshToken,
+  logoutUser,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyToken
+} = require("../controllers/authController");
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} = require("../controllers/twoFactorController");
+const {
+  startOidcLogin,
+  oidcCallback,
+  exchangeOidcLoginCode,
+  getIdentities,
+  unlinkIdentity
+} = require("../controllers/oidcController");
+const { protect } = require("../middleware/authMiddleware");
 const router = express.Router();
 
 // Public Routes
 router.post("/register", registerUser);
 router.post("/login", loginUser);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (requires a valid refresh token)
+ */
+router.post("/refresh", refreshToken);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session
+ * @access  Private
+ */
+router.post("/logout", protect, logoutUser);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (signed-in devices)
+ * @access  Private
+ */
+router.get("/sessions", protect, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a session (sign out a device)
+ * @access  Private
+ */
+router.delete("/sessions/:id", protect, revokeSession);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm the account's email address with the emailed token
+ * @access  Public
+ */
+router.post("/verify-email", verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post("/resend-verification", protect, resendVerificationEmail);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post("/forgot-password", forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token
+ * @access  Public
+ */
+router.post("/reset-password", resetPassword);
+
+/**
+ * @route   PUT /api/auth/password
+ * @desc    Change password (requires the current password); signs out other devices.
+ *          Accounts without a password get an email link to set one.
+ * @access  Private
+ */
+router.put("/password", protect, changePassword);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Second login step: exchange the challenge token and a TOTP or recovery code for tokens
+ * @access  Public (requires a challenge token)
+ */
+router.post("/2fa/verify", verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment (returns an otpauth URI)
+ * @access  Private
+ */
+router.post("/2fa/setup", protect, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm enrollment with a first code (returns recovery codes)
+ * @access  Private
+ */
+router.post("/2fa/confirm", protect, confirmTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication with a current code or recovery code
+ * @access  Private
+ */
+router.post("/2fa/disable", protect, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (requires a current code)
+ * @access  Private
+ */
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+
+/**
+ * @route   GET /api/auth/oidc/login?returnTo=...
+ * @desc    Start sign-in with the configured OpenID Connect provider
+ * @access  Public
+ */
+router.get("/oidc/login", startOidcLogin);
+
+/**
+ * @route   GET /api/auth/oidc/callback
+ * @desc    Redirect target of the identity provider
+ * @access  Public
+ */
+router.get("/oidc/callback", oidcCallback);
+
+/**
+ * @route   POST /api/auth/oidc/exchange
+ * @desc    Exchange the one-time login code for session tokens
+ * @access  Public (requires a login code)
+ */
+router.post("/oidc/exchange", exchangeOidcLoginCode);
+
+/**
+ * @route   GET /api/auth/identities
+ * @desc    List linked external identities
+ * @access  Private
+ */
+router.get("/identities", protect, getIdentities);
+
+/**
+ * @route   DELETE /api/auth/identities/:id
+ * @desc    Unlink an external identity
+ * @access  Private
+ */
+router.delete("/identities/:id", protect, unlinkIdentity);
+
 // Example of a Protected Route (Only for logged-in users)
 router.get("/protected", verifyToken, (req, res) => {
   res.json({ message: "This is a protected route", userId: req.user });
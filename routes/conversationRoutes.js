@@ -5,9 +5,47 @@ const {
     getConversationById,
     getChatStatistics,
     exportChat,
-    deleteConversation
+    deleteConversation,
+    getMessageRequests,
+    acceptMessageRequest,
+    declineMessageRequest,
+    blockMessageRequest,
+    getUnreadTotals
 } = require("../controllers/conversationController");
-const { protect } = require("../middleware/authMiddleware");
+const {
+    getGroupMembers,
+    addGroupMembers,
+    removeGroupMember,
+    leaveGroup,
+    renameGroup,
+    updateGroupImage,
+    removeGroupImage,
+    updateMemberRole,
+    transferOwnership,
+    updateGroupPermissions,
+    createGroupInvite,
+    getGroupInvites,
+    revokeGroupInvite,
+    getInvitePreview,
+    joinGroupViaInvite,
+    getJoinRequests,
+    approveJoinRequest,
+    declineJoinRequest
+} = require("../controllers/groupController");
+const {
+    muteConversation,
+    unmuteConversation,
+    archiveConversation,
+    unarchiveConversation,
+    pinConversation,
+    unpinConversation,
+    markConversationUnread,
+    clearConversationUnread,
+    clearConversationHistory,
+    hideConversation
+} = require("../controllers/conversationSettingsController");
+const { protect, requireVerifiedEmail } = require("../middleware/authMiddleware");
+const { uploadGroupImage } = require("../middleware/uploadMiddleware");
 
 const router = express.Router();
 
@@ -21,9 +59,58 @@ router.get("/", protect, getConversations);
 /**
  * @route   POST /api/conversations
  * @desc    Create a new conversation or get existing one
+ * @access  Private (verified email required)
+ */
+router.post("/", protect, requireVerifiedEmail, createConversation);
+
+/**
+ * @route   GET /api/conversations/unread
+ * @desc    Get unread totals for badges
+ * @access  Private
+ */
+router.get("/unread", protect, getUnreadTotals);
+
+/**
+ * @route   GET /api/conversations/requests
+ * @desc    Get pending message requests from users who aren't contacts
+ * @access  Private
+ */
+router.get("/requests", protect, getMessageRequests);
+
+/**
+ * @route   POST /api/conversations/requests/:id/accept
+ * @desc    Accept a message request and add the requester to contacts
+ * @access  Private
+ */
+router.post("/requests/:id/accept", protect, acceptMessageRequest);
+
+/**
+ * @route   POST /api/conversations/requests/:id/decline
+ * @desc    Decline a message request
+ * @access  Private
+ */
+router.post("/requests/:id/decline", protect, declineMessageRequest);
+
+/**
+ * @route   POST /api/conversations/requests/:id/block
+ * @desc    Decline a message request and block the requester
  * @access  Private
  */
-router.post("/", protect, createConversation);
+router.post("/requests/:id/block", protect, blockMessageRequest);
+
+/**
+ * @route   GET /api/conversations/join/:token
+ * @desc    Preview the group behind an invite link
+ * @access  Private
+ */
+router.get("/join/:token", protect, getInvitePreview);
+
+/**
+ * @route   POST /api/conversations/join/:token
+ * @desc    Join a group with an invite link (or request to join if it needs approval)
+ * @access  Private
+ */
+router.post("/join/:token", protect, joinGroupViaInvite);
 
 /**
  * @route   GET /api/conversations/:id
@@ -46,11 +133,193 @@ router.get("/:id/statistics", protect, getChatStatistics);
  */
 router.get("/:id/export", protect, exportChat);
 
+/**
+ * @route   POST /api/conversations/:id/clear
+ * @desc    Clear the conversation history for the current user only
+ * @access  Private
+ */
+router.post("/:id/clear", protect, clearConversationHistory);
+
+/**
+ * @route   POST /api/conversations/:id/hide
+ * @desc    Remove a conversation from the current user's list until a new message arrives
+ * @access  Private
+ */
+router.post("/:id/hide", protect, hideConversation);
+
 /**
  * @route   DELETE /api/conversations/:id
- * @desc    Delete a conversation
+ * @desc    Delete a conversation for everyone, with its messages and files (group owners only for groups)
  * @access  Private
  */
 router.delete("/:id", protect, deleteConversation);
 
+/**
+ * @route   PUT /api/conversations/:id/mute
+ * @desc    Mute a conversation ({ until } or { durationMinutes }; neither mutes until unmuted)
+ * @access  Private
+ */
+router.put("/:id/mute", protect, muteConversation);
+
+/**
+ * @route   DELETE /api/conversations/:id/mute
+ * @desc    Unmute a conversation
+ * @access  Private
+ */
+router.delete("/:id/mute", protect, unmuteConversation);
+
+/**
+ * @route   PUT /api/conversations/:id/archive
+ * @desc    Archive a conversation
+ * @access  Private
+ */
+router.put("/:id/archive", protect, archiveConversation);
+
+/**
+ * @route   DELETE /api/conversations/:id/archive
+ * @desc    Unarchive a conversation
+ * @access  Private
+ */
+router.delete("/:id/archive", protect, unarchiveConversation);
+
+/**
+ * @route   PUT /api/conversations/:id/pin
+ * @desc    Pin a conversation to the top of the list
+ * @access  Private
+ */
+router.put("/:id/pin", protect, pinConversation);
+
+/**
+ * @route   DELETE /api/conversations/:id/pin
+ * @desc    Unpin a conversation
+ * @access  Private
+ */
+router.delete("/:id/pin", protect, unpinConversation);
+
+/**
+ * @route   PUT /api/conversations/:id/unread
+ * @desc    Mark a conversation as unread
+ * @access  Private
+ */
+router.put("/:id/unread", protect, markConversationUnread);
+
+/**
+ * @route   DELETE /api/conversations/:id/unread
+ * @desc    Remove the unread mark from a conversation
+ * @access  Private
+ */
+router.delete("/:id/unread", protect, clearConversationUnread);
+
+/**
+ * @route   GET /api/conversations/:id/members
+ * @desc    List group members with their roles, and the group permissions
+ * @access  Private (group members)
+ */
+router.get("/:id/members", protect, getGroupMembers);
+
+/**
+ * @route   POST /api/conversations/:id/members
+ * @desc    Add members to a group ({ userIds: [...] })
+ * @access  Private (group members with the addMembers permission)
+ */
+router.post("/:id/members", protect, addGroupMembers);
+
+/**
+ * @route   DELETE /api/conversations/:id/members/:userId
+ * @desc    Remove a member from a group
+ * @access  Private (group admins)
+ */
+router.delete("/:id/members/:userId", protect, removeGroupMember);
+
+/**
+ * @route   PUT /api/conversations/:id/members/:userId/role
+ * @desc    Make a member an admin or demote an admin ({ role: "admin" | "member" })
+ * @access  Private (group owner)
+ */
+router.put("/:id/members/:userId/role", protect, updateMemberRole);
+
+/**
+ * @route   POST /api/conversations/:id/owner
+ * @desc    Transfer group ownership to another member ({ userId })
+ * @access  Private (group owner)
+ */
+router.post("/:id/owner", protect, transferOwnership);
+
+/**
+ * @route   PUT /api/conversations/:id/permissions
+ * @desc    Change group permissions (addMembers, editInfo, pinMessages, sendMessages)
+ * @access  Private (group admins)
+ */
+router.put("/:id/permissions", protect, updateGroupPermissions);
+
+/**
+ * @route   POST /api/conversations/:id/invites
+ * @desc    Create an invite link ({ expiresInHours, maxUses, requiresApproval })
+ * @access  Private (group admins)
+ */
+router.post("/:id/invites", protect, createGroupInvite);
+
+/**
+ * @route   GET /api/conversations/:id/invites
+ * @desc    List active invite links
+ * @access  Private (group admins)
+ */
+router.get("/:id/invites", protect, getGroupInvites);
+
+/**
+ * @route   DELETE /api/conversations/:id/invites/:inviteId
+ * @desc    Revoke an invite link
+ * @access  Private (group admins)
+ */
+router.delete("/:id/invites/:inviteId", protect, revokeGroupInvite);
+
+/**
+ * @route   GET /api/conversations/:id/join-requests
+ * @desc    List pending requests to join through invite links
+ * @access  Private (group admins)
+ */
+router.get("/:id/join-requests", protect, getJoinRequests);
+
+/**
+ * @route   POST /api/conversations/:id/join-requests/:userId/approve
+ * @desc    Approve a join request
+ * @access  Private (group admins)
+ */
+router.post("/:id/join-requests/:userId/approve", protect, approveJoinRequest);
+
+/**
+ * @route   POST /api/conversations/:id/join-requests/:userId/decline
+ * @desc    Decline a join request
+ * @access  Private (group admins)
+ */
+router.post("/:id/join-requests/:userId/decline", protect, declineJoinRequest);
+
+/**
+ * @route   POST /api/conversations/:id/leave
+ * @desc    Leave a group
+ * @access  Private (group members)
+ */
+router.post("/:id/leave", protect, leaveGroup);
+
+/**
+ * @route   PUT /api/conversations/:id/name
+ * @desc    Rename a group
+ * @access  Private (group members with the editInfo permission)
+ */
+router.put("/:id/name", protect, renameGroup);
+
+/**
+ * @route   PUT /api/conversations/:id/image
+ * @desc    Set the group picture (multipart field "groupImage")
+ * @access  Private (group members with the editInfo permission)
+ */
+router.put("/:id/image", protect, uploadGroupImage, updateGroupImage);
+
+/**
+ * @route   DELETE /api/conversations/:id/image
+ * @desc    Remove the group picture
+ * @access  Private (group members with the editInfo permission)
+ */
+router.delete("/:id/image", protect, removeGroupImage);
+
 module.exports = router;
\ No newline at end of file
@@ -5,10 +5,28 @@ const {
     searchUsers,
     getOnlineUsers,
     updateUserProfile,
-    reportUser
+    confirmEmailChange,
+    cancelEmailChange,
+    reportUser,
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    getContacts,
+    addContact,
+    removeContact,
+    getPrivacySettings,
+    updatePrivacySettings,
+    setCustomStatus,
+    clearCustomStatus,
+    removeProfileImage,
+    requestDataExport,
+    getDataExport,
+    downloadDataExport,
+    requestAccountDeletion,
+    cancelAccountDeletion
 } = require("../controllers/userController");
 const { protect } = require("../middleware/authMiddleware");
-const upload = require("../middleware/uploadMiddleware");
+const { uploadProfileImage } = require("../middleware/uploadMiddleware");
 
 const router = express.Router();
 
@@ -20,19 +38,96 @@ const router = express.Router();
 router.get("/getProfile", protect, getUserProfile);
 
 /**
- * @route   GET /api/user/search?query=...
- * @desc    Search users by name or email
+ * @route   GET /api/user/search?query=...&limit=&cursor=
+ * @desc    Search users by @username, name or full email (ranked, cursor-paginated)
  * @access  Private
  */
 router.get("/search", protect, searchUsers);
 
 /**
  * @route   GET /api/user/online
- * @desc    Get list of online users
+ * @desc    Get online status of contacts and conversation partners
  * @access  Private
  */
 router.get("/online", protect, getOnlineUsers);
 
+/**
+ * @route   GET /api/user/blocked
+ * @desc    List users blocked by the authenticated user
+ * @access  Private
+ */
+router.get("/blocked", protect, getBlockedUsers);
+
+/**
+ * @route   GET /api/user/contacts
+ * @desc    List the authenticated user's contacts
+ * @access  Private
+ */
+router.get("/contacts", protect, getContacts);
+
+/**
+ * @route   GET /api/user/privacy
+ * @desc    Get privacy settings
+ * @access  Private
+ */
+router.get("/privacy", protect, getPrivacySettings);
+
+/**
+ * @route   PUT /api/user/privacy
+ * @desc    Update privacy settings (everyone / contacts / nobody)
+ * @access  Private
+ */
+router.put("/privacy", protect, updatePrivacySettings);
+
+/**
+ * @route   PUT /api/user/status
+ * @desc    Set a custom status (emoji + text) with an optional auto-clear time
+ * @access  Private
+ */
+router.put("/status", protect, setCustomStatus);
+
+/**
+ * @route   DELETE /api/user/status
+ * @desc    Clear the custom status
+ * @access  Private
+ */
+router.delete("/status", protect, clearCustomStatus);
+
+/**
+ * @route   GET /api/user/me/export
+ * @desc    Request an archive of the user's data (built in the background)
+ * @access  Private
+ */
+router.get("/me/export", protect, requestDataExport);
+
+/**
+ * @route   GET /api/user/me/export/:exportId
+ * @desc    Get the status of a data export
+ * @access  Private
+ */
+router.get("/me/export/:exportId", protect, getDataExport);
+
+/**
+ * @route   GET /api/user/me/export/:exportId/download
+ * @desc    Download a finished data export
+ * @access  Private
+ */
+router.get("/me/export/:exportId/download", protect, downloadDataExport);
+
+/**
+ * @route   DELETE /api/user/me
+ * @desc    Schedule deletion of the account after a grace period
+ * @access  Private
+ */
+router.delete("/me", protect, requestAccountDeletion);
+
+/**
+ * @route   POST /api/user/me/deletion/cancel
+ * @desc    Cancel a scheduled account deletion
+ * @access  Private
+ */
+router.post("/me/deletion/cancel", protect, cancelAccountDeletion);
+
 /**
  * @route   GET /api/user/:id
  * @desc    Get user profile by ID
@@ -45,7 +140,28 @@ router.get("/:id", protect, getUserById);
  * @desc    Update authenticated user's profile details (supports profile image upload)
  * @access  Private (requires a valid JWT token)
  */
-router.put("/updateProfile", protect, upload.single("profileImage"), updateUserProfile);
+router.put("/updateProfile", protect, uploadProfileImage, updateUserProfile);
+
+/**
+ * @route   DELETE /api/user/profileImage
+ * @desc    Remove the profile picture
+ * @access  Private
+ */
+router.delete("/profileImage", protect, removeProfileImage);
+
+/**
+ * @route   POST /api/user/email/confirm
+ * @desc    Confirm a pending email change with the token sent to the new address
+ * @access  Public (requires a valid token)
+ */
+router.post("/email/confirm", confirmEmailChange);
+
+/**
+ * @route   POST /api/user/email/cancel
+ * @desc    Cancel a pending email change with the token sent to the current address
+ * @access  Public (requires a valid token)
+ */
+router.post("/email/cancel", cancelEmailChange);
 
 /**
  * @route   POST /api/user/:id/report
@@ -54,4 +170,32 @@ router.put("/updateProfile", protect, upload.single("profileImage"), updateUserP
  */
 router.post("/:id/report", protect, reportUser);
 
+/**
+ * @route   POST /api/user/:id/block
+ * @desc    Block a user
+ * @access  Private
+ */
+router.post("/:id/block", protect, blockUser);
+
+/**
+ * @route   DELETE /api/user/:id/block
+ * @desc    Unblock a user
+ * @access  Private
+ */
+router.delete("/:id/block", protect, unblockUser);
+
+/**
+ * @route   POST /api/user/:id/contact
+ * @desc    Add a user to contacts
+ * @access  Private
+ */
+router.post("/:id/contact", protect, addContact);
+
+/**
+ * @route   DELETE /api/user/:id/contact
+ * @desc    Remove a user from contacts
+ * @access  Private
+ */
+router.delete("/:id/contact", protect, removeContact);
+
 module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Fill in User.searchName (the lowercased name used by the directory search) for accounts
+ * created before it existed. Safe to run more than once.
+ *
+ *   npm run backfill-search-names
+ *
+ * Uses MONGO_URI from the environment / .env file.
+ */
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const mongoose = require("mongoose");
+const User = require("../models/User");
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const result = await User.updateMany(
+        { searchName: { $exists: false } },
+        [{ $set: { searchName: { $toLower: "$name" } } }]
+    );
+    console.log(`Updated ${result.modifiedCount} users`);
+};
+
+run()
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
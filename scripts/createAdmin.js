@@ -0,0 +1,74 @@
+/**
+ * Bootstrap an admin account from the command line.
+ *
+ * Promote an existing user:
+ *   npm run create-admin -- admin@example.com
+ * Create a new admin account:
+ *   npm run create-admin -- admin@example.com --name "Admin" --password "a-strong-password"
+ *
+ * Uses MONGO_URI from the environment / .env file.
+ */
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const { validatePassword } = require("../utils/passwordPolicy");
+
+const parseArgs = (argv) => {
+    const args = { email: null, name: null, password: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--name") args.name = argv[++i];
+        else if (argv[i] === "--password") args.password = argv[++i];
+        else if (!args.email) args.email = argv[i];
+    }
+    return args;
+};
+
+const run = async () => {
+    const { email, name, password } = parseArgs(process.argv.slice(2));
+    if (!email) {
+        throw new Error("Usage: node scripts/createAdmin.js <email> [--name <name> --password <password>]");
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    let user = await User.findOne({ email });
+    if (user) {
+        if (user.role === "admin") {
+            console.log(`${email} is already an admin`);
+            return;
+        }
+        user.role = "admin";
+        await user.save();
+        console.log(`Promoted ${email} to admin`);
+        return;
+    }
+
+    if (!name || !password) {
+        throw new Error(`No user with email ${email}. Pass --name and --password to create one.`);
+    }
+
+    const passwordErrors = validatePassword(password, { email });
+    if (passwordErrors.length > 0) {
+        throw new Error(`Password does not meet the policy: ${passwordErrors.join(" ")}`);
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user = await User.create({
+        name,
+        email,
+        password: await bcrypt.hash(password, salt),
+        role: "admin",
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+    });
+    console.log(`Created admin account ${email}`);
+};
+
+run()
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,152 @@
+/**
+ * Local mock OpenID Connect provider for developing and testing OIDC sign-in.
+ * Every authorization request is approved automatically for a fixed test user.
+ *
+ * Usage:
+ *   npm run mock-oidc
+ *
+ * Then configure the backend with:
+ *   OIDC_ISSUER=http://localhost:4010
+ *   OIDC_CLIENT_ID=quickchat
+ *   OIDC_CLIENT_SECRET=quickchat-secret
+ *   OIDC_REDIRECT_URI=http://localhost:5000/api/auth/oidc/callback
+ *
+ * Env: MOCK_OIDC_PORT, MOCK_OIDC_CLIENT_ID, MOCK_OIDC_CLIENT_SECRET,
+ *      MOCK_OIDC_SUB, MOCK_OIDC_EMAIL, MOCK_OIDC_NAME, MOCK_OIDC_EMAIL_VERIFIED
+ * The user can also be chosen per request with ?login_hint=<email> on the authorize URL.
+ */
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "quickchat";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "quickchat-secret";
+
+const DEFAULT_USER = {
+    email: process.env.MOCK_OIDC_EMAIL || "oidc.user@example.com",
+    name: process.env.MOCK_OIDC_NAME || "OIDC Test User",
+    emailVerified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== "false"
+};
+
+// A fresh signing key on every start
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" };
+
+// Issued authorization codes and access tokens, kept in memory
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+const subjectFor = (email) => process.env.MOCK_OIDC_SUB && email === DEFAULT_USER.email
+    ? process.env.MOCK_OIDC_SUB
+    : crypto.createHash("sha256").update(email).digest("hex").slice(0, 24);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"],
+        token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post"]
+    });
+});
+
+app.get("/jwks", (req, res) => {
+    res.json({ keys: [publicJwk] });
+});
+
+app.get("/authorize", (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge,
+        code_challenge_method: codeChallengeMethod, login_hint: loginHint } = req.query;
+
+    if (clientId !== CLIENT_ID || !redirectUri) {
+        return res.status(400).send("Unknown client or missing redirect_uri");
+    }
+
+    const redirect = new URL(redirectUri);
+    if (state) redirect.searchParams.set("state", state);
+
+    if (!codeChallenge || codeChallengeMethod !== "S256") {
+        redirect.searchParams.set("error", "invalid_request");
+        return res.redirect(redirect.toString());
+    }
+
+    const email = loginHint || DEFAULT_USER.email;
+    const code = crypto.randomBytes(16).toString("hex");
+    authorizationCodes.set(code, {
+        redirectUri,
+        nonce,
+        codeChallenge,
+        user: { ...DEFAULT_USER, email, sub: subjectFor(email) },
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    redirect.searchParams.set("code", code);
+    res.redirect(redirect.toString());
+});
+
+// Client credentials from the Basic header (client_secret_basic) or the body (client_secret_post)
+const getClientCredentials = (req) => {
+    const authorization = req.headers.authorization || "";
+    if (authorization.startsWith("Basic ")) {
+        const [id, secret] = Buffer.from(authorization.slice(6), "base64").toString().split(":");
+        return { id: decodeURIComponent(id), secret: decodeURIComponent(secret || "") };
+    }
+    return { id: req.body.client_id, secret: req.body.client_secret };
+};
+
+app.post("/token", (req, res) => {
+    const client = getClientCredentials(req);
+    if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+    if (grantType !== "authorization_code") {
+        return res.status(400).json({ error: "unsupported_grant_type" });
+    }
+
+    const grant = authorizationCodes.get(code);
+    authorizationCodes.delete(code);
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirectUri) {
+        return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const expectedChallenge = crypto.createHash("sha256").update(codeVerifier || "").digest("base64url");
+    if (expectedChallenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+    }
+
+    const { user } = grant;
+    const idToken = jwt.sign(
+        { sub: user.sub, email: user.email, email_verified: user.emailVerified, name: user.name, nonce: grant.nonce },
+        privateKey,
+        { algorithm: "RS256", keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: "5m" }
+    );
+
+    const accessToken = crypto.randomBytes(24).toString("hex");
+    accessTokens.set(accessToken, user);
+
+    res.json({ access_token: accessToken, token_type: "Bearer", expires_in: 300, id_token: idToken });
+});
+
+app.get("/userinfo", (req, res) => {
+    const user = accessTokens.get((req.headers.authorization || "").replace(/^Bearer /, ""));
+    if (!user) return res.status(401).json({ error: "invalid_token" });
+
+    res.json({ sub: user.sub, email: user.email, email_verified: user.emailVerified, name: user.name });
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock OIDC provider running at ${ISSUER} (client_id=${CLIENT_ID}, user=${DEFAULT_USER.email})`);
+});
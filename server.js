@@ -2,15 +2,28 @@
 const express = require("express");
 const http = require("http");
 const dotenv = require("dotenv");
+dotenv.config(); // Load env before requiring modules that read it at load time
 const mongoose = require("mongoose");
 const cors = require("cors");
 const compression = require("compression");
 const socketHandler = require("./sockets/socketHandler");
+const { startStatusExpiryJob } = require("./utils/customStatus");
+const { startDataExportJob } = require("./utils/dataExport");
+const { startAccountDeletionJob } = require("./utils/accountDeletion");
 // const { nullOrEmpty } = require("./utils/utils.js"); // Commented out as it's not used
 const path = require("path");
-dotenv.config();
 
 const app = express();
+
+// Behind a reverse proxy, TRUST_PROXY tells Express which hops may set X-Forwarded-For:
+// a number of hops, "true", or a comma-separated list of addresses/subnets. Unset trusts none.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  if (/^\d+$/.test(trustProxy)) app.set('trust proxy', Number(trustProxy));
+  else if (trustProxy === 'true' || trustProxy === 'false') app.set('trust proxy', trustProxy === 'true');
+  else app.set('trust proxy', trustProxy.split(',').map(item => item.trim()));
+}
+
 app.use(express.json());
 app.use(compression()); // Enable gzip compression for responses
 
@@ -68,6 +81,7 @@ const userRoutes = require("./routes/userRoutes");
 const messageRoutes = require("./routes/messageRoutes");
 const conversationRoutes = require("./routes/conversationRoutes");
 const uploadRoutes = require('./routes/uploadRoutes');
+const adminRoutes = require("./routes/adminRoutes");
 
 // 3. Mount API routes
 app.use("/api/auth", authRoutes);
@@ -77,6 +91,7 @@ app.use("/api/messages", messageRoutes);
 app.use("/api/conversations", conversationRoutes);
 app.use("/api/chats", conversationRoutes); // Alternative endpoint for chats
 app.use('/api/uploads', uploadRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Serve uploaded files statically
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
@@ -106,6 +121,11 @@ app.set('io', io);
 
 socketHandler(io);
 
+// 5. Background jobs
+startStatusExpiryJob(io);
+startDataExportJob(io);
+startAccountDeletionJob(io);
+
 // 6. Start the server
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
@@ -1,53 +1,124 @@
 // sockets/socketHandler.js
 /**
  * This module handles all Socket.io events.
- * It uses an in-memory object to track connected users and supports both direct and group messaging.
+ * Connections are authenticated with the access token sent in the handshake; handlers act on
+ * behalf of that verified user only. It supports both direct and group messaging.
  */
 
+const mongoose = require("mongoose");
 const Message = require("../models/Message");
 const Conversation = require("../models/Conversation");
 const User = require("../models/User");
-const { addUserSocket, removeUserSocket, getUserSockets, userSockets } = require("./userSocketManager");
+const { addUserSocket, removeUserSocket, getUserSockets } = require("./userSocketManager");
+const { authenticateAccessToken } = require("../middleware/authMiddleware");
+const { getBlockerIds, getSocketIdsOfUsers } = require("../utils/blocking");
+const { PRIVACY_FIELDS, MESSAGE_USER_FIELDS, formatMessageUsers, emitMessageToRoom, broadcastPresence, loadPrivacyProfiles, sharesReadReceipts } = require("../utils/privacy");
+const { hasGroupPermission } = require("../utils/groupPermissions");
+const { markConversationRead, getReadTimeOfMessages } = require("../utils/unreadCounts");
+
+// Pull the access token from the handshake (auth payload, Authorization header or query string)
+const getHandshakeToken = (socket) => {
+    const { auth, headers, query } = socket.handshake;
+    const token = auth?.token || headers?.authorization || query?.token;
+    if (!token || typeof token !== "string") return null;
+    return token.startsWith("Bearer ") ? token.slice(7) : token;
+};
+
+// Error passed to the client in the "connect_error" event when the handshake is rejected
+const unauthorizedError = (message, details = null) => {
+    const error = new Error(message);
+    error.data = details || { code: "UNAUTHORIZED", message };
+    return error;
+};
+
+// Check that a user is a participant of a conversation before trusting room-scoped events
+const isConversationParticipant = async (conversationId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) return false;
+    return !!(await Conversation.exists({ _id: conversationId, participants: userId }));
+};
+
+// Check that two users share a direct conversation before relaying direct events between them
+const sharesDirectConversation = async (userId, otherUserId) => {
+    if (!mongoose.Types.ObjectId.isValid(otherUserId)) return false;
+    return !!(await Conversation.exists({
+        participants: { $all: [userId, otherUserId], $size: 2 },
+        isGroupChat: false
+    }));
+};
+
+// Check a group permission (see utils/groupPermissions.js) before relaying an event
+const canInConversation = async (conversationId, userId, permission) => {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) return false;
+    const conversation = await Conversation.findById(conversationId)
+        .select("isGroupChat participants owner admins initiatedBy groupPermissions");
+    return !!conversation && hasGroupPermission(conversation, userId, permission);
+};
 
 module.exports = (io) => {
-    // In-memory map to track connected users by their userId
-    const connectedUsers = {}; // (legacy, can be removed in future)
-    // Reverse map to track userId by socket id for O(1) removal
-    const socketToUserId = {};
+    // Verify the access token sent in the handshake and attach the user to the socket.
+    // Every handler below uses socket.data.userId instead of ids from event payloads.
+    io.use(async (socket, next) => {
+        const token = getHandshakeToken(socket);
+        if (!token) {
+            console.error(`Socket ${socket.id} rejected: no token provided`);
+            return next(unauthorizedError("Authentication required. No token provided."));
+        }
+
+        try {
+            const { user, session } = await authenticateAccessToken(token);
+            socket.data.userId = user._id.toString();
+            socket.data.sessionId = session._id.toString();
+            // Users who blocked this user; kept in sync by the block/unblock endpoints
+            socket.data.blockedBy = new Set(await getBlockerIds(user._id));
+            next();
+        } catch (error) {
+            console.error(`Socket authentication failed for ${socket.id}:`, error.message);
+            // Suspended accounts get the same code and details as the REST API
+            next(error.isAuthError
+                ? unauthorizedError(error.message, error.details)
+                : unauthorizedError("Invalid or expired token"));
+        }
+    });
 
     io.on("connection", (socket) => {
+        const userId = socket.data.userId;
         console.log(`Socket connected: ${socket.id}`);
 
-        // Handle user authentication and connection
-        socket.on("userConnected", async (userId) => {
-            if (!userId) {
-                console.error("userConnected event received with invalid userId");
-                return;
+        // Legacy clients still announce themselves; the identity now comes from the handshake
+        socket.on("userConnected", (claimedUserId) => {
+            if (claimedUserId && claimedUserId.toString() !== userId) {
+                console.warn(`Socket ${socket.id} claimed user ${claimedUserId} but is authenticated as ${userId}`);
             }
-            connectedUsers[userId] = socket.id; // (legacy, can be removed in future)
-            socketToUserId[socket.id] = userId;
-            addUserSocket(userId, socket.id);
-            console.log(`User connected: ${userId}, socket id: ${socket.id}`);
+        });
 
+        addUserSocket(userId, socket.id);
+        console.log(`User connected: ${userId}, socket id: ${socket.id}`);
+
+        // Sockets of users who blocked this user; they don't get this user's typing events or messages
+        const blockerSocketIds = () => getSocketIdsOfUsers([...socket.data.blockedBy], io);
+        const isBlockedByUser = (otherUserId) => socket.data.blockedBy.has(otherUserId.toString());
+
+        // Mark the user online and join their conversation rooms. Event handlers below are
+        // registered synchronously so nothing the client sends meanwhile is dropped.
+        const announceConnection = async () => {
             // Update user's online status in database
+            let user = null;
             try {
-                await User.findByIdAndUpdate(userId, {
+                user = await User.findByIdAndUpdate(userId, {
                     isOnline: true,
                     lastSeen: new Date()
-                });
+                }, { new: true }).select(`lastSeen ${PRIVACY_FIELDS}`);
                 console.log(`Updated online status for user ${userId}`);
             } catch (error) {
                 console.error(`Error updating online status for user ${userId}:`, error);
             }
 
-            // Broadcast user online status to all connected clients
-            io.emit("userOnline", { userId });
+            // Broadcast user online status to the connected users allowed to see it
+            if (user) broadcastPresence(io, user, "userOnline", { userId });
             console.log(`Broadcasted userOnline event for user ${userId}`);
 
             // Automatically join user to all their conversation rooms
             try {
-                const Conversation = require('../models/Conversation');
-
                 // First, get all conversations where user is a participant
                 const allUserConversations = await Conversation.find({
                     participants: userId
@@ -62,7 +133,7 @@ module.exports = (io) => {
                         return true;
                     }
                     // If visibleTo exists, check if user is in the array
-                    return conversation.visibleTo.some(visibleUserId => visibleUserId.toString() === userId.toString());
+                    return conversation.visibleTo.some(visibleUserId => visibleUserId.toString() === userId);
                 });
 
                 console.log(`👁️ ${visibleConversations.length} conversations are visible to user ${userId}`);
@@ -76,13 +147,20 @@ module.exports = (io) => {
             } catch (error) {
                 console.error(`❌ Error auto-joining user ${userId} to conversations:`, error);
             }
-        });
+        };
+        announceConnection();
 
         // Handle message delivered event
-        socket.on('messageDelivered', async ({ conversationId, messageIds, deliveredToUserId }) => {
+        socket.on('messageDelivered', async ({ conversationId, messageIds } = {}) => {
             try {
-                if (!conversationId || !messageIds || !deliveredToUserId) {
-                    console.error('Invalid messageDelivered data:', { conversationId, messageIds, deliveredToUserId });
+                const deliveredToUserId = userId;
+                if (!conversationId || !messageIds) {
+                    console.error('Invalid messageDelivered data:', { conversationId, messageIds });
+                    return;
+                }
+
+                if (!(await isConversationParticipant(conversationId, userId))) {
+                    console.error(`messageDelivered rejected: user ${userId} is not in conversation ${conversationId}`);
                     return;
                 }
 
@@ -93,6 +171,7 @@ module.exports = (io) => {
                     {
                         _id: { $in: messageIds },
                         conversation: conversationId,
+                        sender: { $ne: userId }, // A user can't mark their own messages as delivered
                         delivered: false // Only update if not already delivered
                     },
                     {
@@ -160,10 +239,16 @@ module.exports = (io) => {
         });
 
         // Handle message seen event
-        socket.on('messageSeen', async ({ conversationId, seenByUserId, messageIds }) => {
+        socket.on('messageSeen', async ({ conversationId, messageIds } = {}) => {
             try {
-                if (!conversationId || !messageIds || !seenByUserId) {
-                    console.error('Invalid messageSeen data:', { conversationId, messageIds, seenByUserId });
+                const seenByUserId = userId;
+                if (!conversationId || !messageIds) {
+                    console.error('Invalid messageSeen data:', { conversationId, messageIds });
+                    return;
+                }
+
+                if (!(await isConversationParticipant(conversationId, userId))) {
+                    console.error(`messageSeen rejected: user ${userId} is not in conversation ${conversationId}`);
                     return;
                 }
 
@@ -174,6 +259,7 @@ module.exports = (io) => {
                     {
                         _id: { $in: messageIds },
                         conversation: conversationId,
+                        sender: { $ne: userId }, // A user can't mark their own messages as seen
                         seen: false // Only update if not already seen
                     },
                     {
@@ -191,6 +277,10 @@ module.exports = (io) => {
 
                 console.log(`👁️ Updated ${updateResult.modifiedCount} messages as seen in database`);
 
+                // Move the user's read pointer (see utils/unreadCounts.js)
+                const readAt = await getReadTimeOfMessages(conversationId, messageIds);
+                if (readAt) await markConversationRead(io, conversationId, userId, readAt);
+
                 // Get the updated messages to emit status updates
                 const messages = await Message.find({
                     _id: { $in: messageIds },
@@ -210,8 +300,16 @@ module.exports = (io) => {
                     }
                 });
 
+                // Receipts only go to senders who share read receipts with this user
+                const profiles = await loadPrivacyProfiles([userId, ...Object.keys(senderGroups)]);
+                const reader = profiles.find(p => p._id.toString() === userId);
+                const receiptRecipients = Object.keys(senderGroups).filter(senderId => {
+                    const sender = profiles.find(p => p._id.toString() === senderId);
+                    return reader && sender && sharesReadReceipts(reader, sender);
+                });
+
                 // Emit to each sender (all sockets) - send batch event for better performance
-                Object.keys(senderGroups).forEach(senderId => {
+                receiptRecipients.forEach(senderId => {
                     const senderSockets = getUserSockets(senderId, io);
                     console.log(`🔍 Found ${senderSockets.length} sockets for sender ${senderId}`);
 
@@ -245,14 +343,24 @@ module.exports = (io) => {
             }
         });
 
-        // Join conversation rooms
-        socket.on("joinConversation", (conversationId) => {
-            if (!conversationId) {
-                console.error("joinConversation event received with invalid conversationId");
-                return;
+        // Join conversation rooms (participants only)
+        socket.on("joinConversation", async (conversationId) => {
+            try {
+                if (!conversationId) {
+                    console.error("joinConversation event received with invalid conversationId");
+                    return;
+                }
+
+                if (!(await isConversationParticipant(conversationId, userId))) {
+                    console.error(`joinConversation rejected: user ${userId} is not in conversation ${conversationId}`);
+                    return;
+                }
+
+                socket.join(conversationId.toString());
+                console.log(`Socket ${socket.id} joined conversation: ${conversationId}`);
+            } catch (err) {
+                console.error("Error in joinConversation event handler:", err);
             }
-            socket.join(conversationId);
-            console.log(`Socket ${socket.id} joined conversation: ${conversationId}`);
         });
 
         // Leave conversation rooms
@@ -261,28 +369,57 @@ module.exports = (io) => {
                 console.error("leaveConversation event received with invalid conversationId");
                 return;
             }
-            socket.leave(conversationId);
+            socket.leave(conversationId.toString());
             console.log(`Socket ${socket.id} left conversation: ${conversationId}`);
         });
 
+        // The socket only ever joins rooms of conversations the verified user belongs to,
+        // so room membership is enough to authorize room-scoped relays
+        const isInRoom = (conversationId) => !!conversationId && socket.rooms.has(conversationId.toString());
+
         // Handle sending messages to conversations
-        socket.on("sendMessage", (data) => {
+        socket.on("sendMessage", async (data) => {
             try {
-                if (!(data?.sender && data?.conversationId)) {
+                if (!(data?._id && data?.conversationId)) {
                     console.error("Invalid sendMessage data received:", data);
                     return;
                 }
 
+                if (!isInRoom(data.conversationId) || !(await canInConversation(data.conversationId, userId, "sendMessages"))) {
+                    console.error(`sendMessage rejected for user ${userId} in conversation ${data.conversationId}`);
+                    return;
+                }
+
+                // Only relay a message the authenticated user stored in this conversation, and
+                // send what was stored rather than the client's copy
+                const message = mongoose.Types.ObjectId.isValid(data._id)
+                    ? await Message.findOne({ _id: data._id, conversation: data.conversationId, sender: userId })
+                        .select("+withheldFrom")
+                        .populate("sender", MESSAGE_USER_FIELDS)
+                    : null;
+                if (!message) {
+                    console.error(`sendMessage rejected for user ${userId}: message ${data._id} not found in conversation ${data.conversationId}`);
+                    return;
+                }
+
+                // Messages withheld from a blocker (see sendMessage in the message controller)
+                // must not reach them through the relay either
+                const excludedSocketIds = getSocketIdsOfUsers(message.withheldFrom, io);
+                const room = data.conversationId.toString();
+
                 // Emit to all users in the conversation room (excluding sender)
-                socket.to(data.conversationId).emit("messageReceived", data);
-                console.log(`Message from ${data.sender} sent to conversation ${data.conversationId}`);
+                await emitMessageToRoom(io, room, "messageReceived", message, {
+                    except: [socket.id, ...excludedSocketIds],
+                    buildPayload: formatted => ({ ...formatted, hasImage: !!formatted.image, hasFile: !!formatted.file })
+                });
+                console.log(`Message from ${userId} sent to conversation ${room}`);
 
                 // Emit conversation update to ALL users in the conversation room (including sender)
                 // This ensures the sender's sidebar also gets updated
-                io.to(data.conversationId).emit("conversationUpdated", {
-                    conversationId: data.conversationId,
-                    lastMessage: data,
-                    lastActivity: new Date()
+                const lastActivity = new Date();
+                await emitMessageToRoom(io, room, "conversationUpdated", message, {
+                    except: excludedSocketIds,
+                    buildPayload: lastMessage => ({ conversationId: room, lastMessage, lastActivity })
                 });
 
                 // IMPORTANT: Broadcast a global update event to ALL connected clients
@@ -301,96 +438,121 @@ module.exports = (io) => {
             }
         });
 
-        // Handle typing indicators
-        socket.on("typing", (data) => {
-            if (!(data?.sender && data?.conversationId)) {
-                console.error("Invalid typing data received:", data);
-                return;
-            }
-            
-            // Broadcast typing event to all users in the conversation except the sender
-            socket.to(data.conversationId).emit("typing", data);
-            console.log(`Typing indicator from ${data.sender} sent to conversation ${data.conversationId}`);
-        });
+        // Relay message edits, deletions, pins and reactions to the conversation room. The payload
+        // is rebuilt from the stored message (buildPayload returns null when there is nothing to
+        // announce), so a client can't broadcast changes that never happened. Options:
+        // `permission` requires a group permission, `senderOnly` restricts it to the message's sender.
+        const relayConversationEvent = (eventName, describe, { permission = null, senderOnly = false, buildPayload }) => {
+            socket.on(eventName, async (data) => {
+                if (!(data?.messageId && data?.conversation)) {
+                    console.error(`Invalid ${eventName} data received:`, data);
+                    return;
+                }
 
-        // Handle stop typing indicators
-        socket.on("stopTyping", (data) => {
-            if (!(data?.sender && data?.conversationId)) {
-                console.error("Invalid stopTyping data received:", data);
-                return;
-            }
-            
-            // Broadcast stop typing event to all users in the conversation except the sender
-            socket.to(data.conversationId).emit("stopTyping", data);
-            console.log(`Stop typing indicator from ${data.sender} sent to conversation ${data.conversationId}`);
-        });
-        
-        // Handle message edited events
-        socket.on("messageEdited", (data) => {
-            if (!(data?.messageId && data?.conversation)) {
-                console.error("Invalid messageEdited data received:", data);
-                return;
+                if (!isInRoom(data.conversation)) {
+                    console.error(`${eventName} rejected: user ${userId} is not in conversation ${data.conversation}`);
+                    return;
+                }
+
+                try {
+                    if (permission && !(await canInConversation(data.conversation, userId, permission))) {
+                        console.error(`${eventName} rejected: user ${userId} lacks ${permission} in conversation ${data.conversation}`);
+                        return;
+                    }
+
+                    const message = mongoose.Types.ObjectId.isValid(data.messageId)
+                        ? await Message.findOne({ _id: data.messageId, conversation: data.conversation }).select("+withheldFrom")
+                        : null;
+                    const payload = message && buildPayload(message);
+                    if (!payload || (senderOnly && message.sender.toString() !== userId)) {
+                        console.error(`${eventName} rejected for user ${userId}: message ${data.messageId} can't be relayed`);
+                        return;
+                    }
+
+                    // Broadcast to all users in the conversation who receive the message
+                    io.to(data.conversation.toString())
+                        .except(getSocketIdsOfUsers(message.withheldFrom, io))
+                        .emit(eventName, payload);
+                    console.log(describe(payload));
+                } catch (err) {
+                    console.error(`Error in ${eventName} event handler:`, err);
+                }
+            });
+        };
+
+        relayConversationEvent("messageEdited", data => `Message ${data.messageId} edited in conversation ${data.conversation}`, {
+            senderOnly: true,
+            buildPayload: message => message.isEdited && !message.isDeleted && {
+                messageId: message._id,
+                content: message.content,
+                isEdited: message.isEdited,
+                editedAt: message.editedAt,
+                conversation: message.conversation
             }
-            
-            // Broadcast to all users in the conversation
-            io.to(data.conversation).emit("messageEdited", data);
-            console.log(`Message ${data.messageId} edited in conversation ${data.conversation}`);
         });
-        
-        // Handle message deleted events
-        socket.on("messageDeleted", (data) => {
-            if (!(data?.messageId && data?.conversation)) {
-                console.error("Invalid messageDeleted data received:", data);
-                return;
-            }
-            
-            // Broadcast to all users in the conversation
-            io.to(data.conversation).emit("messageDeleted", data);
-            console.log(`Message ${data.messageId} deleted in conversation ${data.conversation}`);
+        relayConversationEvent("messageDeleted", data => `Message ${data.messageId} deleted in conversation ${data.conversation}`, {
+            senderOnly: true,
+            buildPayload: message => message.isDeleted && { messageId: message._id, conversation: message.conversation }
         });
-        
-        // Handle message pinned events
-        socket.on("messagePinned", (data) => {
-            if (!(data?.messageId && data?.conversation)) {
-                console.error("Invalid messagePinned data received:", data);
-                return;
-            }
-            
-            // Broadcast to all users in the conversation
-            io.to(data.conversation).emit("messagePinned", data);
-            console.log(`Message ${data.messageId} ${data.isPinned ? 'pinned' : 'unpinned'} in conversation ${data.conversation}`);
+        relayConversationEvent("messagePinned", data => `Message ${data.messageId} ${data.isPinned ? 'pinned' : 'unpinned'} in conversation ${data.conversation}`, {
+            permission: "pinMessages",
+            buildPayload: message => ({
+                messageId: message._id,
+                isPinned: message.isPinned,
+                pinnedAt: message.pinnedAt,
+                pinnedBy: message.pinnedBy,
+                conversation: message.conversation
+            })
         });
-        
-        // Handle message reaction events
-        socket.on("messageReaction", (data) => {
-            if (!(data?.messageId && data?.conversation)) {
-                console.error("Invalid messageReaction data received:", data);
-                return;
-            }
-            
-            // Broadcast to all users in the conversation
-            io.to(data.conversation).emit("messageReaction", data);
-            console.log(`Reaction added to message ${data.messageId} in conversation ${data.conversation}`);
+        relayConversationEvent("messageReaction", data => `Reaction added to message ${data.messageId} in conversation ${data.conversation}`, {
+            buildPayload: message => ({ messageId: message._id, reactions: message.reactions, conversation: message.conversation })
         });
 
         // Handle direct messages (backward compatibility)
-        socket.on("sendDirectMessage", (data) => {
+        socket.on("sendDirectMessage", async (data) => {
             try {
-                if (!(data?.sender && data?.receiver && data?.content)) {
+                if (!(data?.receiver && data?._id)) {
                     console.error("Invalid sendDirectMessage data received:", data);
                     return;
                 }
 
+                // Only relay between users who already share a direct conversation
+                if (!(await sharesDirectConversation(userId, data.receiver))) {
+                    console.error(`sendDirectMessage rejected: user ${userId} has no conversation with ${data.receiver}`);
+                    return;
+                }
+
+                // Silently dropped, exactly like a message to a user who isn't connected
+                if (isBlockedByUser(data.receiver)) return;
+
+                // Relay the stored message the authenticated user sent in their direct conversation
+                // with the receiver, never the client's copy
+                const stored = mongoose.Types.ObjectId.isValid(data._id)
+                    ? await Message.findOne({ _id: data._id, sender: userId, withheldFrom: { $ne: data.receiver } })
+                        .populate("sender", MESSAGE_USER_FIELDS)
+                        .populate("conversation", "participants isGroupChat")
+                    : null;
+                const participantIds = (stored?.conversation?.participants || []).map(id => id.toString());
+                if (!stored || stored.conversation.isGroupChat || participantIds.length !== 2 ||
+                    !participantIds.includes(data.receiver.toString())) {
+                    console.error(`sendDirectMessage rejected for user ${userId}: message ${data._id} is not in their conversation with ${data.receiver}`);
+                    return;
+                }
+                const message = formatMessageUsers(
+                    { ...stored.toJSON(), conversation: stored.conversation._id },
+                    data.receiver
+                );
+
                 // Get receiver sockets
-                const receiverSockets = getUserSockets(data.receiver, io);
+                const receiverSockets = getUserSockets(data.receiver.toString(), io);
 
                 // Send to receiver
                 if (receiverSockets.length > 0) {
                     receiverSockets.forEach(sock => {
                         // Send the message to the receiver
-                        sock.emit("messageReceived", data);
+                        sock.emit("messageReceived", message);
                     });
-                    console.log(`Direct message from ${data.sender} delivered to ${data.receiver}`);
+                    console.log(`Direct message from ${userId} delivered to ${data.receiver}`);
                 } else {
                     console.warn(`Receiver ${data.receiver} is not connected.`);
                 }
@@ -411,12 +573,13 @@ module.exports = (io) => {
         // Handle typing events for conversations
         socket.on("typing", (data) => {
             try {
-                if (!(data?.sender && data?.conversationId)) {
+                if (!data?.conversationId || !isInRoom(data.conversationId)) {
                     console.error("Invalid typing data received:", data);
                     return;
                 }
-                socket.to(data.conversationId).emit("typing", {
-                    sender: data.sender,
+                // Broadcast typing event to all users in the conversation except the sender
+                socket.to(data.conversationId.toString()).except(blockerSocketIds()).emit("typing", {
+                    sender: userId,
                     conversationId: data.conversationId
                 });
             } catch (err) {
@@ -427,12 +590,13 @@ module.exports = (io) => {
         // Handle stop typing events for conversations
         socket.on("stopTyping", (data) => {
             try {
-                if (!(data?.sender && data?.conversationId)) {
+                if (!data?.conversationId || !isInRoom(data.conversationId)) {
                     console.error("Invalid stopTyping data received:", data);
                     return;
                 }
-                socket.to(data.conversationId).emit("stopTyping", {
-                    sender: data.sender,
+                // Broadcast stop typing event to all users in the conversation except the sender
+                socket.to(data.conversationId.toString()).except(blockerSocketIds()).emit("stopTyping", {
+                    sender: userId,
                     conversationId: data.conversationId
                 });
             } catch (err) {
@@ -441,28 +605,30 @@ module.exports = (io) => {
         });
 
         // Handle direct typing events (backward compatibility)
-        socket.on("directTyping", (data) => {
+        socket.on("directTyping", async (data) => {
             try {
-                if (!(data?.sender && data?.receiver)) {
+                if (!data?.receiver) {
                     console.error("Invalid directTyping data received:", data);
                     return;
                 }
-                const receiverSockets = getUserSockets(data.receiver, io);
-                receiverSockets.forEach(sock => sock.emit("typing", { sender: data.sender }));
+                if (isBlockedByUser(data.receiver) || !(await sharesDirectConversation(userId, data.receiver))) return;
+                const receiverSockets = getUserSockets(data.receiver.toString(), io);
+                receiverSockets.forEach(sock => sock.emit("typing", { sender: userId }));
             } catch (err) {
                 console.error("Error in directTyping event handler:", err);
             }
         });
 
         // Handle direct stop typing events (backward compatibility)
-        socket.on("directStopTyping", (data) => {
+        socket.on("directStopTyping", async (data) => {
             try {
-                if (!(data?.sender && data?.receiver)) {
+                if (!data?.receiver) {
                     console.error("Invalid directStopTyping data received:", data);
                     return;
                 }
-                const receiverSockets = getUserSockets(data.receiver, io);
-                receiverSockets.forEach(sock => sock.emit("stopTyping", { sender: data.sender }));
+                if (isBlockedByUser(data.receiver) || !(await sharesDirectConversation(userId, data.receiver))) return;
+                const receiverSockets = getUserSockets(data.receiver.toString(), io);
+                receiverSockets.forEach(sock => sock.emit("stopTyping", { sender: userId }));
             } catch (err) {
                 console.error("Error in directStopTyping event handler:", err);
             }
@@ -471,40 +637,29 @@ module.exports = (io) => {
         // Handle socket disconnect
         socket.on("disconnect", async (reason) => {
             console.log(`Socket disconnected: ${socket.id}, Reason: ${reason}`);
-            const userId = socketToUserId[socket.id];
-            if (userId) {
-                console.log(`Removing user ${userId} from connected users.`);
+            console.log(`Removing user ${userId} from connected users.`);
+            removeUserSocket(userId, socket.id);
 
-                // Update user's last seen time in database
-                try {
-                    await User.findByIdAndUpdate(userId, {
-                        lastSeen: new Date(),
-                        isOnline: false
-                    });
-                    console.log(`Updated last seen time for user ${userId}`);
-                } catch (error) {
-                    console.error(`Error updating last seen for user ${userId}:`, error);
-                }
-
-                delete connectedUsers[userId];
-                delete socketToUserId[socket.id];
-                removeUserSocket(userId, socket.id);
-
-                // Broadcast user offline status to all connected clients
-                io.emit("userOffline", { userId, lastSeen: new Date() });
-                console.log(`Broadcasted userOffline event for user ${userId}`);
+            // Update user's last seen time in database
+            let user = null;
+            try {
+                user = await User.findByIdAndUpdate(userId, {
+                    lastSeen: new Date(),
+                    isOnline: false
+                }, { new: true }).select(`lastSeen ${PRIVACY_FIELDS}`);
+                console.log(`Updated last seen time for user ${userId}`);
+            } catch (error) {
+                console.error(`Error updating last seen for user ${userId}:`, error);
             }
+
+            // Broadcast user offline status to the connected users allowed to see it
+            if (user) broadcastPresence(io, user, "userOffline", { userId, lastSeen: user.lastSeen });
+            console.log(`Broadcasted userOffline event for user ${userId}`);
         });
 
         // Handle request to refresh conversations
         socket.on("requestConversationsRefresh", () => {
             try {
-                const userId = socketToUserId[socket.id];
-                if (!userId) {
-                    console.error("requestConversationsRefresh received from unauthenticated socket");
-                    return;
-                }
-
                 // Emit an event back to the same client to refresh conversations
                 socket.emit("refreshConversations");
                 console.log(`Sent refreshConversations event to user ${userId}`);
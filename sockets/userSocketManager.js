@@ -25,8 +25,43 @@ const getUserSockets = (userId, io) => {
         .filter(Boolean);
 };
 
+// Emit an event to every connected device of a user
+const emitToUser = (userId, io, event, payload) => {
+    if (!io) return;
+    getUserSockets(userId.toString(), io).forEach(socket => socket.emit(event, payload));
+};
+
 const getAllConnectedUsers = () => {
     return Array.from(userSockets.keys());
 };
 
-module.exports = { addUserSocket, removeUserSocket, getUserSockets, getAllConnectedUsers, userSockets };
+// Force-disconnect every socket that was authenticated with the given session
+const disconnectSessionSockets = (sessionId, io, reason = "Session revoked") => {
+    if (!io) return;
+    io.sockets.sockets.forEach(socket => {
+        if (socket.data.sessionId && socket.data.sessionId.toString() === sessionId.toString()) {
+            socket.emit("sessionRevoked", { message: reason });
+            socket.disconnect(true);
+        }
+    });
+};
+
+// Notify and force-disconnect every socket of a user (e.g. when the account is suspended)
+const disconnectUserSockets = (userId, io, event, payload) => {
+    if (!io) return;
+    getUserSockets(userId.toString(), io).forEach(socket => {
+        socket.emit(event, payload);
+        socket.disconnect(true);
+    });
+};
+
+module.exports = {
+    addUserSocket,
+    removeUserSocket,
+    getUserSockets,
+    emitToUser,
+    getAllConnectedUsers,
+    disconnectSessionSockets,
+    disconnectUserSockets,
+    userSockets
+};
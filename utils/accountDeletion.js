@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const Report = require("../models/Report");
+const Session = require("../models/Session");
+const VerificationToken = require("../models/VerificationToken");
+const FileMetadata = require("../models/FileMetadata");
+const GroupInvite = require("../models/GroupInvite");
+const { disconnectUserSockets } = require("../sockets/userSocketManager");
+const { resolveUploadPath, removeUploadedFiles } = require("./uploadFiles");
+const { removeUserExports } = require("./dataExport");
+const { deleteConversationsPermanently } = require("./conversationDeletion");
+const { getGroupRole, pickNextOwner } = require("./groupPermissions");
+
+/**
+ * Account deletion. A deletion request only schedules the purge; until the grace period
+ * ends the user can sign in and cancel it. The purge then removes everything tied to the
+ * account. Messages in conversations other people are still part of are kept for them,
+ * but anonymized: their sender becomes DELETED_USER_ID and attachments are removed.
+ */
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const DELETION_SWEEP_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+
+// Placeholder sender of anonymized messages; never matches a real user
+const DELETED_USER_ID = new mongoose.Types.ObjectId("000000000000000000000000");
+
+const getDeletionDate = (from = new Date()) => {
+    return new Date(from.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Permanently delete a user and their data
+const purgeUser = async (userId, io) => {
+    const user = await User.findById(userId);
+    if (!user) return;
+
+    // Log out every device right away
+    disconnectUserSockets(userId, io, "accountDeleted", { message: "Your account has been deleted." });
+    await Session.deleteMany({ user: userId });
+    await VerificationToken.deleteMany({ user: userId });
+
+    // Conversations nobody else is part of are deleted with their messages
+    const conversations = await Conversation.find({ participants: userId }).select("participants");
+    const soloConversationIds = conversations
+        .filter(conv => conv.participants.every(p => p.toString() === userId.toString()))
+        .map(conv => conv._id);
+    await deleteConversationsPermanently(soloConversationIds);
+    await GroupInvite.updateMany({ "joinRequests.user": userId }, { $pull: { joinRequests: { user: userId } } });
+
+    // Everything the user uploaded: attachments of their messages and their profile picture
+    const sentAttachments = await Message.find({
+        sender: userId,
+        $or: [{ image: { $ne: null } }, { file: { $ne: null } }]
+    }).select("image file");
+    const uploadUrls = [
+        user.profileImage,
+        ...Object.values(user.profileImageSizes?.toObject?.() || {}),
+        ...sentAttachments.flatMap(msg => [msg.image, msg.file])
+    ].filter(Boolean);
+    await removeUploadedFiles(uploadUrls);
+    await FileMetadata.deleteMany({ path: { $in: uploadUrls.map(resolveUploadPath).filter(Boolean) } });
+
+    // Anonymize what stays behind in shared conversations
+    await Message.updateMany(
+        { sender: userId },
+        {
+            sender: DELETED_USER_ID,
+            image: null,
+            file: null,
+            fileName: null,
+            fileSize: null,
+            fileType: null,
+            publicId: null
+        }
+    );
+    await Message.updateMany({ receiver: userId }, { receiver: DELETED_USER_ID });
+    await Message.updateMany({ pinnedBy: userId }, { pinnedBy: DELETED_USER_ID });
+    await Message.updateMany(
+        { $or: [{ "reactions.user": userId }, { "seenBy.user": userId }, { withheldFrom: userId }] },
+        { $pull: { reactions: { user: userId }, seenBy: { user: userId }, withheldFrom: userId } }
+    );
+
+    // Groups the user owns pass to the next admin or longest-standing member
+    const ownedGroups = await Conversation.find({ _id: { $nin: soloConversationIds }, participants: userId, isGroupChat: true });
+    for (const group of ownedGroups) {
+        if (getGroupRole(group, userId) !== "owner") continue;
+        const nextOwnerId = pickNextOwner(group, userId);
+        await Conversation.updateOne({ _id: group._id }, { owner: nextOwnerId, $pull: { admins: nextOwnerId } });
+    }
+
+    await Conversation.updateMany(
+        { participants: userId },
+        { $pull: { participants: userId, visibleTo: userId, requestedTo: userId, declinedBy: userId, admins: userId, participantSettings: { user: userId } } }
+    );
+    await Conversation.updateMany({ initiatedBy: userId }, { $unset: { initiatedBy: 1 } });
+
+    // The user's own reports go; reports against them stay for the moderation record. They get
+    // a new placeholder id (one per deleted account, since a reporter can have reported several)
+    // that can't be traced back to the account.
+    await Report.deleteMany({ reporter: userId });
+    await Report.updateMany(
+        { reportedUser: userId },
+        { reportedUser: new mongoose.Types.ObjectId(), reportedUserDeleted: true }
+    );
+    await User.updateMany(
+        { $or: [{ contacts: userId }, { blockedUsers: userId }] },
+        { $pull: { contacts: userId, blockedUsers: userId } }
+    );
+    await removeUserExports(userId);
+
+    await User.deleteOne({ _id: userId });
+    console.log(`Deleted account ${userId}`);
+};
+
+// Purge every account whose grace period has ended
+const processDueDeletions = async (io) => {
+    const due = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select("_id");
+    for (const user of due) {
+        try {
+            await purgeUser(user._id, io);
+        } catch (error) {
+            // Left scheduled, so the next sweep retries it
+            console.error(`Error deleting account ${user._id}:`, error);
+        }
+    }
+};
+
+// Start the background sweep; returns the timer so it can be stopped
+const startAccountDeletionJob = (io, intervalMs = DELETION_SWEEP_INTERVAL_MS) => {
+    const timer = setInterval(() => {
+        processDueDeletions(io).catch(error => {
+            console.error("Error processing account deletions:", error);
+        });
+    }, intervalMs);
+    timer.unref(); // Never keep the process alive just for this job
+    return timer;
+};
+
+module.exports = {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    DELETED_USER_ID,
+    getDeletionDate,
+    purgeUser,
+    startAccountDeletionJob
+};
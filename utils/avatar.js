@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { uploadDir, removeFile, removeUploadedFiles } = require("./uploadFiles");
+
+/**
+ * Profile pictures are center-cropped to a square and stored as WebP at several sizes under
+ * uploads/avatars. Re-encoding drops all metadata (EXIF, GPS) after applying the orientation.
+ * Users without a (visible) photo get a generated SVG avatar with their initials instead.
+ */
+const AVATAR_SIZES = { small: 64, medium: 256, large: 512 };
+const MAX_AVATAR_UPLOAD_BYTES = 5 * 1024 * 1024; // 5 MB
+const ALLOWED_FORMATS = ["jpeg", "png", "webp", "gif", "avif", "heif"];
+
+const avatarDir = path.join(uploadDir, "avatars");
+
+const INITIALS_COLORS = ["#e57373", "#f06292", "#ba68c8", "#7986cb", "#4fc3f7", "#4db6ac", "#81c784", "#ffb74d", "#a1887f", "#90a4ae"];
+
+// Errors for uploads that are not a supported image; the message is safe to send to the client
+const invalidImageError = (message) => Object.assign(new Error(message), { isInvalidImage: true });
+
+/**
+ * Validate an uploaded image and store it at every size in AVATAR_SIZES.
+ * `ownerId` (a user or group conversation id) prefixes the file names.
+ * Returns { small, medium, large } URLs. Throws an invalidImageError for anything that
+ * isn't a decodable image in an allowed format.
+ */
+const processProfileImage = async (buffer, ownerId) => {
+    let metadata;
+    try {
+        // limitInputPixels guards against decompression bombs
+        metadata = await sharp(buffer, { limitInputPixels: 50 * 1000 * 1000 }).metadata();
+    } catch {
+        throw invalidImageError("The uploaded file is not a valid image");
+    }
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        throw invalidImageError("Images must be JPEG, PNG, WebP, GIF, AVIF or HEIC");
+    }
+
+    await fs.promises.mkdir(avatarDir, { recursive: true });
+
+    // A random part in the name makes every upload a new URL, so caches never serve the old picture
+    const baseName = `${ownerId}-${crypto.randomBytes(6).toString("hex")}`;
+    const urls = {};
+    const written = [];
+
+    try {
+        for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+            const fileName = `${baseName}-${size}.webp`;
+            const filePath = path.join(avatarDir, fileName);
+
+            await sharp(buffer, { limitInputPixels: 50 * 1000 * 1000 })
+                .rotate() // Apply the EXIF orientation before the metadata is dropped
+                .resize(size, size, { fit: "cover", position: "centre" })
+                .webp({ quality: 85 })
+                .toFile(filePath);
+
+            written.push(filePath);
+            urls[name] = `/uploads/avatars/${fileName}`;
+        }
+    } catch {
+        await Promise.all(written.map(removeFile));
+        throw invalidImageError("The uploaded image could not be processed");
+    }
+
+    return urls;
+};
+
+/**
+ * Delete the stored files of a user's profile picture (every size, and the single
+ * file used before sizes existed). Missing files are ignored.
+ */
+const removeProfileImageFiles = async (user) => {
+    await removeUploadedFiles([
+        user.profileImage,
+        ...Object.values(user.profileImageSizes?.toObject?.() || user.profileImageSizes || {})
+    ]);
+};
+
+const getInitials = (name) => {
+    const words = String(name || "").replace(/[^\p{L}\p{N}\s]/gu, "").trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return "?";
+
+    const initials = words.length > 1
+        ? [...words[0]][0] + [...words[words.length - 1]][0]
+        : [...words[0]].slice(0, 2).join("");
+    return initials.toUpperCase();
+};
+
+const escapeXml = (value) => value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// SVG data URL with the user's initials on a background color derived from their id
+const getInitialsAvatar = (user) => {
+    const hash = crypto.createHash("md5").update(String(user._id)).digest();
+    const color = INITIALS_COLORS[hash[0] % INITIALS_COLORS.length];
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">` +
+        `<rect width="100" height="100" fill="${color}"/>` +
+        `<text x="50" y="50" dy=".35em" text-anchor="middle" font-family="Arial, sans-serif" font-size="40" fill="#fff">` +
+        `${escapeXml(getInitials(user.name))}</text></svg>`;
+
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+};
+
+/**
+ * URLs of a user's profile picture at every size. Pictures uploaded before sizes existed
+ * are used for all sizes; without a picture (or when it's hidden) every size is the initials avatar.
+ */
+const getAvatarUrls = (user, { visible = true } = {}) => {
+    const sizes = user.profileImageSizes;
+
+    if (visible && sizes?.medium) {
+        return { small: sizes.small, medium: sizes.medium, large: sizes.large };
+    }
+    if (visible && user.profileImage) {
+        return { small: user.profileImage, medium: user.profileImage, large: user.profileImage };
+    }
+
+    const initials = getInitialsAvatar(user);
+    return { small: initials, medium: initials, large: initials };
+};
+
+module.exports = {
+    AVATAR_SIZES,
+    MAX_AVATAR_UPLOAD_BYTES,
+    processProfileImage,
+    removeProfileImageFiles,
+    getInitialsAvatar,
+    getAvatarUrls
+};
@@ -0,0 +1,84 @@
+const User = require("../models/User");
+const { getUserSockets, getAllConnectedUsers, emitToUser } = require("../sockets/userSocketManager");
+const { PRIVACY_FIELDS, canSee } = require("./privacy");
+
+/**
+ * Helpers for user blocks. A block is one-way: the blocker stops receiving the blocked
+ * user's messages, typing events and presence, while the blocked user gets the same
+ * responses as for anyone else so they can't tell they were blocked.
+ */
+
+// Has `userId` been blocked by `otherUserId`?
+const isBlockedBy = async (userId, otherUserId) => {
+    return !!(await User.exists({ _id: otherUserId, blockedUsers: userId }));
+};
+
+// Has `user` (a loaded document, e.g. req.user) blocked `otherUserId`?
+const hasBlocked = (user, otherUserId) => {
+    return (user.blockedUsers || []).some(id => id.toString() === otherUserId.toString());
+};
+
+// Ids of all users who blocked `userId`
+const getBlockerIds = async (userId) => {
+    const ids = await User.find({ blockedUsers: userId }).distinct("_id");
+    return ids.map(id => id.toString());
+};
+
+// Socket ids of every connected device of the given users, e.g. for io.except()
+const getSocketIdsOfUsers = (userIds, io) => {
+    return userIds.flatMap(id => getUserSockets(id.toString(), io).map(socket => socket.id));
+};
+
+/**
+ * Sockets cache the ids of users who blocked them (socket.data.blockedBy) so realtime
+ * events can be filtered without a database lookup. Update the blocked user's sockets
+ * when a block is added or removed.
+ */
+const syncBlockedByCache = (io, blockerId, blockedId, isBlocked) => {
+    if (!io) return;
+    getUserSockets(blockedId.toString(), io).forEach(socket => {
+        if (!socket.data.blockedBy) socket.data.blockedBy = new Set();
+        if (isBlocked) socket.data.blockedBy.add(blockerId.toString());
+        else socket.data.blockedBy.delete(blockerId.toString());
+    });
+};
+
+/**
+ * Block a user: also drops them from the blocker's contacts. Nothing is pushed to the blocked
+ * user, a sudden "offline" would give the block away; they just get no further presence updates.
+ */
+const addBlock = async (io, blockerId, blockedId) => {
+    await User.updateOne(
+        { _id: blockerId },
+        { $addToSet: { blockedUsers: blockedId }, $pull: { contacts: blockedId } }
+    );
+
+    syncBlockedByCache(io, blockerId, blockedId, true);
+};
+
+// Unblock a user; returns false if they weren't blocked
+const removeBlock = async (io, blockerId, blockedId) => {
+    const blocker = await User.findOneAndUpdate(
+        { _id: blockerId, blockedUsers: blockedId },
+        { $pull: { blockedUsers: blockedId } },
+        { new: true }
+    ).select(PRIVACY_FIELDS);
+    if (!blocker) return false;
+
+    syncBlockedByCache(io, blockerId, blockedId, false);
+    // The unblocked user only sees them online again if the blocker's onlineStatus setting allows it
+    if (getAllConnectedUsers().includes(blockerId.toString()) && canSee(blocker, blockedId, "onlineStatus")) {
+        emitToUser(blockedId, io, "userOnline", { userId: blockerId.toString() });
+    }
+    return true;
+};
+
+module.exports = {
+    isBlockedBy,
+    hasBlocked,
+    getBlockerIds,
+    getSocketIdsOfUsers,
+    syncBlockedByCache,
+    addBlock,
+    removeBlock
+};
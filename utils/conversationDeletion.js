@@ -0,0 +1,47 @@
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const GroupInvite = require("../models/GroupInvite");
+const FileMetadata = require("../models/FileMetadata");
+const { resolveUploadPath, removeUploadedFiles } = require("./uploadFiles");
+const { recordConversationRemovals } = require("./conversationList");
+
+/**
+ * Delete conversations for everyone: their messages, invite links and the files attached to
+ * them under uploads/ (including group pictures). Files still referenced by a message
+ * elsewhere are kept. The participants' list syncs report the conversations as removed.
+ */
+const deleteConversationsPermanently = async (conversationIds) => {
+    if (conversationIds.length === 0) return;
+
+    const [conversations, attachments] = await Promise.all([
+        Conversation.find({ _id: { $in: conversationIds } }).select("participants groupImage groupImageSizes"),
+        Message.find({
+            conversation: { $in: conversationIds },
+            $or: [{ image: { $ne: null } }, { file: { $ne: null } }]
+        }).select("image file")
+    ]);
+
+    await Message.deleteMany({ conversation: { $in: conversationIds } });
+    await GroupInvite.deleteMany({ conversation: { $in: conversationIds } });
+    await Conversation.deleteMany({ _id: { $in: conversationIds } });
+    await Promise.all(conversations.map(conv => recordConversationRemovals([conv._id], conv.participants)));
+
+    const attachmentUrls = [...new Set(attachments.flatMap(msg => [msg.image, msg.file]).filter(Boolean))];
+    const stillUsed = await Message.find({
+        $or: [{ image: { $in: attachmentUrls } }, { file: { $in: attachmentUrls } }]
+    }).select("image file");
+    const usedUrls = new Set(stillUsed.flatMap(msg => [msg.image, msg.file]));
+
+    const urls = [
+        ...attachmentUrls.filter(url => !usedUrls.has(url)),
+        ...conversations.flatMap(conv => [
+            conv.groupImage,
+            ...Object.values(conv.groupImageSizes?.toObject?.() || {})
+        ])
+    ].filter(Boolean);
+
+    await removeUploadedFiles(urls);
+    await FileMetadata.deleteMany({ path: { $in: urls.map(resolveUploadPath).filter(Boolean) } });
+};
+
+module.exports = { deleteConversationsPermanently };
@@ -0,0 +1,115 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Conversation = require("../models/Conversation");
+const ConversationRemoval = require("../models/ConversationRemoval");
+const { PRIVACY_FIELDS, getVisiblePhoto } = require("./privacy");
+
+/**
+ * Helpers for the paginated conversation list (GET /api/conversations). Pages are ordered by
+ * lastActivity, then _id, both descending; the cursor is the position of the last conversation
+ * of a page. Participants are only returned as small previews: the other person in a direct
+ * chat, or the first few members of a group.
+ */
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const GROUP_PREVIEW_SIZE = 3;
+// How far back changedSince can go: removals older than this are forgotten
+const REMOVAL_RETENTION_MS = (Number(process.env.CONVERSATION_REMOVAL_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const PREVIEW_FIELDS = `name username profileImage profileImageSizes ${PRIVACY_FIELDS}`;
+
+// Opaque cursor for the position after a conversation
+const encodeListCursor = ({ lastActivity, _id }) => {
+    return Buffer.from(JSON.stringify({ t: new Date(lastActivity).getTime(), id: _id.toString() })).toString("base64url");
+};
+
+// Returns { lastActivity, id } or null if the cursor is malformed
+const decodeListCursor = (cursor) => {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+        if (!Number.isInteger(t) || !mongoose.Types.ObjectId.isValid(id)) return null;
+        return { lastActivity: new Date(t), id: new mongoose.Types.ObjectId(id) };
+    } catch {
+        return null;
+    }
+};
+
+// Conversations that come after the cursor position
+const afterCursorFilter = ({ lastActivity, id }) => ({
+    $or: [
+        { lastActivity: { $lt: lastActivity } },
+        { lastActivity, _id: { $lt: id } }
+    ]
+});
+
+/**
+ * Load participant previews for (lean) conversations with one query. Returns a Map of
+ * conversation id => { preview: [users], count }.
+ */
+const loadParticipantPreviews = async (conversations, userId) => {
+    const viewerId = userId.toString();
+    const previewIds = new Map(conversations.map(conv => {
+        const others = conv.participants.filter(id => id.toString() !== viewerId);
+        return [conv._id.toString(), conv.isGroupChat ? others.slice(0, GROUP_PREVIEW_SIZE) : others.slice(0, 1)];
+    }));
+
+    const userIds = [...new Set([...previewIds.values()].flat().map(id => id.toString()))];
+    const users = userIds.length > 0
+        ? await User.find({ _id: { $in: userIds } }).select(PREVIEW_FIELDS).lean()
+        : [];
+    // Photos follow each user's privacy settings
+    const usersById = new Map(users.map(user => [user._id.toString(), {
+        _id: user._id,
+        name: user.name,
+        username: user.username || null,
+        ...getVisiblePhoto(user, viewerId)
+    }]));
+
+    return new Map(conversations.map(conv => [conv._id.toString(), {
+        preview: previewIds.get(conv._id.toString()).map(id => usersById.get(id.toString())).filter(Boolean),
+        count: conv.participants.length
+    }]));
+};
+
+// Remember that the conversations left the users' lists (left, removed or deleted for everyone)
+const recordConversationRemovals = async (conversationIds, userIds) => {
+    const removedAt = new Date();
+    const expiresAt = new Date(removedAt.getTime() + REMOVAL_RETENTION_MS);
+    const records = conversationIds.flatMap(conversation =>
+        userIds.map(user => ({ user, conversation, removedAt, expiresAt }))
+    );
+    if (records.length > 0) await ConversationRemoval.insertMany(records);
+};
+
+// Whether removals since `since` are still all on record
+const canSyncSince = (since) => since.getTime() > Date.now() - REMOVAL_RETENTION_MS;
+
+/**
+ * Ids of conversations that left the user's list since `since`: ones they hid (still
+ * participants, but not in visibleTo) and ones they left, were removed from or that were
+ * deleted. Conversations that are back in the list (e.g. the user rejoined) are left out.
+ */
+const getRemovedConversationIds = async (userId, since) => {
+    const [hiddenIds, removedIds] = await Promise.all([
+        Conversation.distinct("_id", { participants: userId, visibleTo: { $ne: userId }, updatedAt: { $gt: since } }),
+        ConversationRemoval.distinct("conversation", { user: userId, removedAt: { $gt: since } })
+    ]);
+
+    const listedIds = removedIds.length > 0
+        ? await Conversation.distinct("_id", { _id: { $in: removedIds }, participants: userId, visibleTo: userId })
+        : [];
+    const listed = new Set(listedIds.map(id => id.toString()));
+
+    return [...new Set([...hiddenIds, ...removedIds].map(id => id.toString()))].filter(id => !listed.has(id));
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeListCursor,
+    decodeListCursor,
+    afterCursorFilter,
+    loadParticipantPreviews,
+    recordConversationRemovals,
+    canSyncSince,
+    getRemovedConversationIds
+};
@@ -0,0 +1,167 @@
+const Conversation = require("../models/Conversation");
+const { emitToUser } = require("../sockets/userSocketManager");
+
+/**
+ * Personal conversation settings: muting, archiving, pinning to the top, marking as unread and
+ * clearing the history. They are stored per participant in Conversation.participantSettings and
+ * only ever shown to that participant. Changes are pushed to all of the user's devices
+ * ("conversationSettingsUpdated").
+ */
+const MAX_PINNED_CONVERSATIONS = Number(process.env.MAX_PINNED_CONVERSATIONS) || 5;
+// mutedUntil for conversations muted until the user unmutes them
+const MUTED_FOREVER = new Date("9999-12-31T23:59:59.999Z");
+
+const SETTING_FIELDS = ["mutedUntil", "archivedAt", "pinnedAt", "markedUnread", "clearedAt"];
+
+const getSettingsEntry = (conversation, userId) => {
+    return (conversation.participantSettings || []).find(entry => entry.user.toString() === userId.toString()) || null;
+};
+
+const isMutedEntry = (entry, now = new Date()) => !!entry?.mutedUntil && entry.mutedUntil > now;
+
+// The user's settings for a conversation, as sent to clients
+const formatSettings = (conversation, userId) => {
+    const entry = getSettingsEntry(conversation, userId);
+    const isMuted = isMutedEntry(entry);
+
+    return {
+        isMuted,
+        mutedUntil: isMuted ? entry.mutedUntil : null,
+        isArchived: !!entry?.archivedAt,
+        archivedAt: entry?.archivedAt || null,
+        isPinned: !!entry?.pinnedAt,
+        pinnedAt: entry?.pinnedAt || null,
+        markedUnread: !!entry?.markedUnread,
+        clearedAt: entry?.clearedAt || null
+    };
+};
+
+// Message query conditions hiding what the user cleared from their history
+const visibleHistoryFilter = (conversation, userId) => {
+    const clearedAt = getSettingsEntry(conversation, userId)?.clearedAt;
+    return clearedAt ? { createdAt: { $gt: clearedAt } } : {};
+};
+
+// Create the user's settings entry if they have none yet (and take part in the conversation)
+const ensureSettingsEntry = (conversationId, userId) => {
+    return Conversation.updateOne(
+        { _id: conversationId, participants: userId, "participantSettings.user": { $ne: userId } },
+        { $push: { participantSettings: { user: userId } } }
+    );
+};
+
+/**
+ * Apply `changes` (any of SETTING_FIELDS) to a user's settings for a conversation they take
+ * part in. Returns the updated conversation, or null if it doesn't exist or the user isn't in it.
+ */
+const updateSettings = async (conversationId, userId, changes) => {
+    await ensureSettingsEntry(conversationId, userId);
+
+    const update = {};
+    Object.entries(changes)
+        .filter(([field]) => SETTING_FIELDS.includes(field))
+        .forEach(([field, value]) => { update[`participantSettings.$.${field}`] = value; });
+
+    return Conversation.findOneAndUpdate(
+        { _id: conversationId, participants: userId, "participantSettings.user": userId },
+        { $set: update },
+        { new: true }
+    );
+};
+
+// Keep the user's other devices in sync
+const emitSettingsUpdated = (io, userId, conversation) => {
+    emitToUser(userId, io, "conversationSettingsUpdated", {
+        conversationId: conversation._id.toString(),
+        settings: formatSettings(conversation, userId)
+    });
+};
+
+/**
+ * Conditions for GET /api/conversations filters. `archived=true` lists archived conversations
+ * only and `archived=all` both kinds; without it archived ones are left out. `muted` and
+ * `pinned` narrow the list when set to "true" or "false". (`unread` also depends on unread
+ * messages, see utils/unreadCounts.js.)
+ */
+const buildSettingsFilter = (userId, query = {}) => {
+    const now = new Date();
+    const conditions = {
+        archived: { user: userId, archivedAt: { $ne: null } },
+        muted: { user: userId, mutedUntil: { $gt: now } },
+        pinned: { user: userId, pinnedAt: { $ne: null } }
+    };
+
+    const filter = [];
+    Object.entries(conditions).forEach(([name, condition]) => {
+        const value = name === "archived" ? (query.archived ?? "false") : query[name];
+        if (value === "true") {
+            filter.push({ participantSettings: { $elemMatch: condition } });
+        } else if (value === "false") {
+            filter.push({ participantSettings: { $not: { $elemMatch: condition } } });
+        }
+    });
+    return filter;
+};
+
+// Pinned conversations first (most recently pinned on top), then by latest activity
+const sortByPinned = (conversations, userId) => {
+    const pinnedAt = (conv) => getSettingsEntry(conv, userId)?.pinnedAt?.getTime() || 0;
+    return [...conversations].sort((a, b) => (pinnedAt(b) - pinnedAt(a)) || (b.lastActivity - a.lastActivity));
+};
+
+const countPinned = (userId) => {
+    return Conversation.countDocuments({
+        participants: userId,
+        participantSettings: { $elemMatch: { user: userId, pinnedAt: { $ne: null } } }
+    });
+};
+
+/**
+ * A new message brings an archived conversation back for its recipients, except for
+ * those who muted it. `excludedIds` are the sender and anyone the message is withheld from.
+ */
+const unarchiveOnNewMessage = async (io, conversationId, excludedIds = []) => {
+    const conversation = await Conversation.findById(conversationId).select("participantSettings");
+    if (!conversation) return;
+
+    const excluded = excludedIds.map(id => id.toString());
+    const userIds = conversation.participantSettings
+        .filter(entry => entry.archivedAt && !isMutedEntry(entry) && !excluded.includes(entry.user.toString()))
+        .map(entry => entry.user);
+    if (userIds.length === 0) return;
+
+    const updated = await Conversation.findOneAndUpdate(
+        { _id: conversationId },
+        { $set: { "participantSettings.$[entry].archivedAt": null } },
+        { arrayFilters: [{ "entry.user": { $in: userIds } }], new: true }
+    );
+    if (updated) userIds.forEach(userId => emitSettingsUpdated(io, userId, updated));
+};
+
+// Reading a conversation clears a manual "unread" mark; returns whether there was one
+const clearMarkedUnread = async (io, conversationId, userId) => {
+    const updated = await Conversation.findOneAndUpdate(
+        { _id: conversationId, participantSettings: { $elemMatch: { user: userId, markedUnread: true } } },
+        { $set: { "participantSettings.$.markedUnread": false } },
+        { new: true }
+    );
+    if (updated) emitSettingsUpdated(io, userId, updated);
+    return !!updated;
+};
+
+module.exports = {
+    MAX_PINNED_CONVERSATIONS,
+    MUTED_FOREVER,
+    getSettingsEntry,
+    isMutedEntry,
+    formatSettings,
+    visibleHistoryFilter,
+    ensureSettingsEntry,
+    updateSettings,
+    emitSettingsUpdated,
+    buildSettingsFilter,
+    sortByPinned,
+    countPinned,
+    unarchiveOnNewMessage,
+    clearMarkedUnread
+};
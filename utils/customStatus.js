@@ -0,0 +1,146 @@
+const User = require("../models/User");
+const Conversation = require("../models/Conversation");
+const { getAllConnectedUsers, emitToUser } = require("../sockets/userSocketManager");
+
+/**
+ * Custom statuses ("🌴 On holiday until Monday") with an optional auto-clear time.
+ * Expired statuses are hidden immediately and removed from the database by a background sweep.
+ */
+const MAX_STATUS_TEXT_LENGTH = 100;
+const MAX_STATUS_EMOJI_LENGTH = 16;
+const MAX_STATUS_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const STATUS_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// The user's status, or null if none is set or it has expired
+const getActiveStatus = (user) => {
+    const status = user.customStatus;
+    if (!status || (!status.text && !status.emoji)) return null;
+    if (status.expiresAt && new Date(status.expiresAt) <= new Date()) return null;
+
+    return {
+        emoji: status.emoji || "",
+        text: status.text || "",
+        expiresAt: status.expiresAt || null
+    };
+};
+
+// Whether a string is an IANA time zone name known to the runtime (e.g. "Europe/Berlin")
+const isValidTimezone = (timezone) => {
+    if (typeof timezone !== "string" || !timezone) return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Validate a status update from a request body: { emoji, text, expiresAt | clearAfterMinutes }.
+ * Returns { status } or { error } with a message for the client.
+ */
+const parseStatusInput = ({ emoji, text, expiresAt, clearAfterMinutes } = {}) => {
+    if ((emoji !== undefined && emoji !== null && typeof emoji !== "string") ||
+        (text !== undefined && text !== null && typeof text !== "string")) {
+        return { error: "Status emoji and text must be strings" };
+    }
+
+    const cleanEmoji = (emoji || "").trim();
+    const cleanText = (text || "").trim();
+    if (!cleanEmoji && !cleanText) {
+        return { error: "Status needs an emoji or text" };
+    }
+    if (cleanText.length > MAX_STATUS_TEXT_LENGTH) {
+        return { error: `Status text cannot be longer than ${MAX_STATUS_TEXT_LENGTH} characters` };
+    }
+    if ([...cleanEmoji].length > MAX_STATUS_EMOJI_LENGTH) {
+        return { error: "Status emoji is too long" };
+    }
+
+    let expiry = null;
+    if (clearAfterMinutes !== undefined && clearAfterMinutes !== null) {
+        const minutes = Number(clearAfterMinutes);
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            return { error: "clearAfterMinutes must be a positive number" };
+        }
+        expiry = new Date(Date.now() + minutes * 60 * 1000);
+    } else if (expiresAt) {
+        expiry = new Date(expiresAt);
+        if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+            return { error: "expiresAt must be a date in the future" };
+        }
+    }
+    if (expiry && expiry.getTime() - Date.now() > MAX_STATUS_DURATION_MS) {
+        return { error: "A status can be set for at most 30 days" };
+    }
+
+    return { status: { emoji: cleanEmoji, text: cleanText, expiresAt: expiry, updatedAt: new Date() } };
+};
+
+/**
+ * Tell connected users who care about `user` (people they share a conversation with and
+ * people who have them as a contact) that their status changed. Users they blocked are skipped.
+ * The user's own devices are notified too so they stay in sync.
+ */
+const broadcastStatusChange = async (io, user) => {
+    if (!io) return;
+
+    const connected = new Set(getAllConnectedUsers());
+    if (connected.size === 0) return;
+
+    const [conversationPartners, contactOf] = await Promise.all([
+        Conversation.distinct("participants", { participants: user._id }),
+        User.distinct("_id", { contacts: user._id })
+    ]);
+
+    const blocked = new Set((user.blockedUsers || []).map(id => id.toString()));
+    const recipients = new Set([...conversationPartners, ...contactOf, user._id].map(id => id.toString()));
+
+    const payload = { userId: user._id.toString(), customStatus: getActiveStatus(user) };
+    recipients.forEach(recipientId => {
+        if (connected.has(recipientId) && !blocked.has(recipientId)) {
+            emitToUser(recipientId, io, "userStatusChanged", payload);
+        }
+    });
+};
+
+// Remove statuses whose auto-clear time has passed and announce the change
+const clearExpiredStatuses = async (io) => {
+    const expired = await User.find({ "customStatus.expiresAt": { $lte: new Date() } })
+        .select("_id blockedUsers customStatus");
+    if (expired.length === 0) return 0;
+
+    // Only clear statuses that weren't replaced since they were read
+    for (const user of expired) {
+        const result = await User.updateOne(
+            { _id: user._id, "customStatus.expiresAt": user.customStatus.expiresAt },
+            { $unset: { customStatus: 1 } }
+        );
+        if (result.modifiedCount > 0) {
+            user.customStatus = undefined;
+            await broadcastStatusChange(io, user);
+        }
+    }
+    return expired.length;
+};
+
+// Start the background sweep; returns the timer so it can be stopped
+const startStatusExpiryJob = (io, intervalMs = STATUS_SWEEP_INTERVAL_MS) => {
+    const timer = setInterval(() => {
+        clearExpiredStatuses(io).catch(error => {
+            console.error("Error clearing expired statuses:", error);
+        });
+    }, intervalMs);
+    timer.unref(); // Never keep the process alive just for this job
+    return timer;
+};
+
+module.exports = {
+    MAX_STATUS_TEXT_LENGTH,
+    getActiveStatus,
+    isValidTimezone,
+    parseStatusInput,
+    broadcastStatusChange,
+    clearExpiredStatuses,
+    startStatusExpiryJob
+};
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const archiver = require("archiver");
+const DataExport = require("../models/DataExport");
+const User = require("../models/User");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const Report = require("../models/Report");
+const Session = require("../models/Session");
+const { emitToUser } = require("../sockets/userSocketManager");
+const { resolveUploadPath, removeFile } = require("./uploadFiles");
+
+/**
+ * Personal data exports. An export is requested through the API and built here in the
+ * background into a zip archive with the user's profile, conversations, the messages they
+ * sent and the files they uploaded. Archives are kept outside the public uploads directory
+ * and deleted once they expire.
+ */
+const exportDir = path.join(__dirname, "..", "exports");
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000; // One new export per day
+const STALE_EXPORT_MS = 15 * 60 * 1000; // Jobs still "processing" after this were interrupted
+const EXPORT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Stream an array of documents as a JSON array without loading them all at once
+const jsonArrayStream = (cursor, transform = doc => doc) => {
+    return Readable.from((async function* () {
+        let first = true;
+        yield "[\n";
+        for await (const doc of cursor) {
+            yield `${first ? "" : ",\n"}${JSON.stringify(transform(doc), null, 2)}`;
+            first = false;
+        }
+        yield "\n]\n";
+    })());
+};
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// Write the archive for `userId` to `filePath`; resolves with the archive size in bytes
+const buildExportArchive = async (userId, filePath) => {
+    const user = await User.findById(userId)
+        .select("-password -warnings -suspendedBy -__v")
+        .populate("contacts", "name username")
+        .populate("blockedUsers", "name username")
+        .lean();
+    if (!user) throw new Error("User not found");
+
+    const [conversations, sessions, reports] = await Promise.all([
+        Conversation.find({ participants: userId })
+            .select("participants isGroupChat groupName createdAt lastActivity")
+            .populate("participants", "name username")
+            .lean(),
+        Session.find({ user: userId })
+            .select("deviceName ipAddress userAgent lastUsedAt createdAt revokedAt")
+            .lean(),
+        Report.find({ reporter: userId })
+            .select("reportedUser reason description status createdAt")
+            .lean()
+    ]);
+
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+        output.on("close", resolve);
+        output.on("error", reject);
+        archive.on("error", reject);
+    });
+    archive.pipe(output);
+
+    archive.append(toJson(user), { name: "profile.json" });
+    archive.append(toJson(sessions), { name: "sessions.json" });
+    archive.append(toJson(reports), { name: "reports.json" });
+    archive.append(toJson(conversations.map(conv => ({
+        _id: conv._id,
+        isGroupChat: conv.isGroupChat,
+        name: conv.isGroupChat ? conv.groupName : null,
+        participants: conv.participants,
+        createdAt: conv.createdAt,
+        lastActivity: conv.lastActivity
+    }))), { name: "conversations.json" });
+
+    const messageFields = "conversation receiver content image file fileName fileSize fileType isEdited editedAt isDeleted createdAt";
+    archive.append(
+        jsonArrayStream(Message.find({ sender: userId }).select(messageFields).sort({ createdAt: 1 }).lean().cursor()),
+        { name: "messages.json" }
+    );
+
+    // Uploaded files: profile pictures and message attachments that are still on disk
+    const uploads = new Set([user.profileImage, ...Object.values(user.profileImageSizes || {})]);
+    const attachments = Message.find({ sender: userId, $or: [{ image: { $ne: null } }, { file: { $ne: null } }] })
+        .select("image file")
+        .lean()
+        .cursor();
+    for await (const message of attachments) {
+        uploads.add(message.image);
+        uploads.add(message.file);
+    }
+
+    for (const url of uploads) {
+        const uploadPath = resolveUploadPath(url);
+        if (uploadPath && fs.existsSync(uploadPath)) {
+            archive.file(uploadPath, { name: `files/${path.basename(uploadPath)}` });
+        }
+    }
+
+    await archive.finalize();
+    await finished;
+    return archive.pointer();
+};
+
+/**
+ * Build the archive of an export and mark it ready (or failed). Claims the export first,
+ * so calling it twice for the same export is harmless.
+ */
+const runExportJob = async (exportId, io) => {
+    const job = await DataExport.findOneAndUpdate(
+        {
+            _id: exportId,
+            $or: [
+                { status: "pending" },
+                { status: "processing", startedAt: { $lt: new Date(Date.now() - STALE_EXPORT_MS) } }
+            ]
+        },
+        { status: "processing", startedAt: new Date() },
+        { new: true }
+    );
+    if (!job) return;
+
+    const filePath = path.join(exportDir, `${job._id}.zip`);
+    try {
+        await fs.promises.mkdir(exportDir, { recursive: true });
+        const fileSize = await buildExportArchive(job.user, filePath);
+
+        job.status = "ready";
+        job.filePath = filePath;
+        job.fileSize = fileSize;
+        job.completedAt = new Date();
+        job.expiresAt = new Date(Date.now() + EXPORT_TTL_MS);
+        await job.save();
+
+        emitToUser(job.user, io, "dataExportReady", {
+            exportId: job._id,
+            downloadUrl: `/api/user/me/export/${job._id}/download`,
+            expiresAt: job.expiresAt
+        });
+    } catch (error) {
+        console.error(`Data export ${job._id} failed:`, error);
+        await removeFile(filePath);
+        job.status = "failed";
+        job.error = "The export could not be created";
+        job.completedAt = new Date();
+        job.expiresAt = new Date(Date.now() + EXPORT_TTL_MS);
+        await job.save();
+    }
+};
+
+// Delete expired archives (and their records)
+const removeExpiredExports = async () => {
+    const expired = await DataExport.find({ expiresAt: { $lte: new Date() } });
+    for (const job of expired) {
+        if (job.filePath) await removeFile(job.filePath);
+        await job.deleteOne();
+    }
+};
+
+// Delete every export of a user, e.g. when the account is deleted
+const removeUserExports = async (userId) => {
+    const jobs = await DataExport.find({ user: userId });
+    await Promise.all(jobs.filter(job => job.filePath).map(job => removeFile(job.filePath)));
+    await DataExport.deleteMany({ user: userId });
+};
+
+// Pick up exports that were never started or were interrupted (e.g. by a restart)
+const processPendingExports = async (io) => {
+    const jobs = await DataExport.find({
+        $or: [
+            { status: "pending" },
+            { status: "processing", startedAt: { $lt: new Date(Date.now() - STALE_EXPORT_MS) } }
+        ]
+    }).select("_id");
+
+    // One at a time: building archives is disk and CPU heavy
+    for (const job of jobs) {
+        await runExportJob(job._id, io);
+    }
+};
+
+// Start the background sweep; returns the timer so it can be stopped
+const startDataExportJob = (io, intervalMs = EXPORT_SWEEP_INTERVAL_MS) => {
+    const timer = setInterval(() => {
+        removeExpiredExports()
+            .then(() => processPendingExports(io))
+            .catch(error => console.error("Error processing data exports:", error));
+    }, intervalMs);
+    timer.unref(); // Never keep the process alive just for this job
+    return timer;
+};
+
+module.exports = {
+    EXPORT_COOLDOWN_MS,
+    buildExportArchive,
+    runExportJob,
+    removeUserExports,
+    startDataExportJob
+};
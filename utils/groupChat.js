@@ -0,0 +1,111 @@
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const { getUserSockets, emitToUser } = require("../sockets/userSocketManager");
+const { unarchiveOnNewMessage } = require("./conversationSettings");
+const { MESSAGE_USER_FIELDS, emitMessageToRoom } = require("./privacy");
+
+const MAX_GROUP_NAME_LENGTH = 100;
+
+// "Bob", "Bob and Carol", "Bob, Carol and Dan"
+const describeUsers = (users) => {
+    const names = users.map(user => user.name);
+    if (names.length <= 1) return names.join("");
+    return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+};
+
+// Add or remove every connected device of the given users to/from a conversation room
+const joinConversationRoom = (io, userIds, conversationId) => {
+    if (!io) return;
+    userIds.forEach(userId => {
+        getUserSockets(userId.toString(), io).forEach(socket => socket.join(conversationId.toString()));
+    });
+};
+
+const leaveConversationRoom = (io, userIds, conversationId) => {
+    if (!io) return;
+    userIds.forEach(userId => {
+        getUserSockets(userId.toString(), io).forEach(socket => socket.leave(conversationId.toString()));
+    });
+};
+
+/**
+ * Insert a system message describing a group change (e.g. "Alice added Bob"), make it the
+ * conversation's last message and deliver it to the room like any other message.
+ */
+const postSystemMessage = async (io, conversationId, actor, content, { action, targets = [] }) => {
+    const message = await Message.create({
+        sender: actor._id,
+        conversation: conversationId,
+        content,
+        isSystem: true,
+        systemEvent: { action, targets }
+    });
+
+    const lastActivity = new Date();
+    await Conversation.updateOne({ _id: conversationId }, { lastMessage: message._id, lastActivity });
+    await unarchiveOnNewMessage(io, conversationId, [actor._id]);
+
+    const populatedMessage = await Message.findById(message._id).populate("sender", MESSAGE_USER_FIELDS);
+
+    const room = conversationId.toString();
+    await emitMessageToRoom(io, room, "messageReceived", populatedMessage);
+    await emitMessageToRoom(io, room, "conversationUpdated", populatedMessage, {
+        buildPayload: lastMessage => ({ conversationId: room, lastMessage, lastActivity })
+    });
+
+    return populatedMessage;
+};
+
+/**
+ * Users can only be put into a group by someone in their contacts, the same consent rule as
+ * for message requests (blocking someone also removes them from the blocker's contacts).
+ * Splits users loaded with `contacts` into those `adder` may add and the others.
+ */
+const splitByAddConsent = (adder, users) => {
+    const adderId = adder._id.toString();
+    const allows = (user) => (user.contacts || []).some(id => id.toString() === adderId);
+    return {
+        addable: users.filter(allows),
+        notAllowed: users.filter(user => !allows(user))
+    };
+};
+
+/**
+ * Add users (documents with _id and name) to a group: store them as participants, join their
+ * devices to the room, tell them and the group, and post `systemMessage` ({ content, action })
+ * on behalf of `actor`. Returns the added members as { _id, name }.
+ */
+const addMembersToGroup = async (io, conversation, users, actor, systemMessage) => {
+    const userIds = users.map(user => user._id);
+    const update = { $addToSet: { participants: { $each: userIds } } };
+    // Conversations that track visibility show the group to new members right away
+    if (conversation.visibleTo?.length > 0) {
+        update.$addToSet.visibleTo = { $each: userIds };
+    }
+    await Conversation.updateOne({ _id: conversation._id }, update);
+
+    const conversationId = conversation._id.toString();
+    const addedBy = { _id: actor._id, name: actor.name };
+    const members = users.map(user => ({ _id: user._id, name: user.name }));
+
+    joinConversationRoom(io, userIds, conversationId);
+    userIds.forEach(userId => emitToUser(userId, io, "addedToGroup", { conversationId, addedBy }));
+    if (io) io.to(conversationId).emit("groupMembersAdded", { conversationId, members, addedBy });
+
+    await postSystemMessage(io, conversation._id, actor, systemMessage.content, {
+        action: systemMessage.action,
+        targets: userIds
+    });
+
+    return members;
+};
+
+module.exports = {
+    MAX_GROUP_NAME_LENGTH,
+    describeUsers,
+    joinConversationRoom,
+    leaveConversationRoom,
+    postSystemMessage,
+    splitByAddConsent,
+    addMembersToGroup
+};
@@ -0,0 +1,86 @@
+/**
+ * Group roles and permissions.
+ * Every group has one owner, any number of admins, and members. Each permission below is
+ * granted either to all "members" or to "admins" only (the owner counts as an admin):
+ *  - addMembers:    add people to the group
+ *  - editInfo:      rename the group and change its picture
+ *  - pinMessages:   pin and unpin messages
+ *  - sendMessages:  post messages (set to admins for announcement-only groups)
+ * Removing members, changing permissions and promoting admins are always admin actions;
+ * only the owner can change roles, remove admins or transfer ownership.
+ */
+const GROUP_PERMISSIONS = ["addMembers", "editInfo", "pinMessages", "sendMessages"];
+const PERMISSION_LEVELS = ["members", "admins"];
+const DEFAULT_GROUP_PERMISSIONS = {
+    addMembers: "admins",
+    editInfo: "members",
+    pinMessages: "admins",
+    sendMessages: "members"
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+const isParticipant = (conversation, userId) => conversation.participants.some(p => sameId(p._id || p, userId));
+
+/**
+ * Owner of a group. Groups created before roles existed have none stored: their creator
+ * owns them while still a member, otherwise the longest-standing member.
+ */
+const getOwnerId = (conversation) => {
+    if (conversation.owner && isParticipant(conversation, conversation.owner)) return conversation.owner;
+    if (conversation.initiatedBy && isParticipant(conversation, conversation.initiatedBy)) return conversation.initiatedBy;
+
+    const first = conversation.participants[0];
+    return first ? (first._id || first) : null;
+};
+
+// "owner", "admin" or "member"; null for non-members
+const getGroupRole = (conversation, userId) => {
+    if (!isParticipant(conversation, userId)) return null;
+    if (sameId(getOwnerId(conversation), userId)) return "owner";
+    if ((conversation.admins || []).some(id => sameId(id, userId))) return "admin";
+    return "member";
+};
+
+const isGroupAdmin = (conversation, userId) => ["owner", "admin"].includes(getGroupRole(conversation, userId));
+
+// Whether a participant may do `permission` in the conversation (always true in direct chats)
+const hasGroupPermission = (conversation, userId, permission) => {
+    if (!conversation.isGroupChat) return true;
+
+    const level = conversation.groupPermissions?.[permission] || DEFAULT_GROUP_PERMISSIONS[permission];
+    return level === "members" ? isParticipant(conversation, userId) : isGroupAdmin(conversation, userId);
+};
+
+// The member who takes over when the owner leaves: the first remaining admin, else the longest-standing member
+const pickNextOwner = (conversation, leavingUserId) => {
+    const remaining = conversation.participants
+        .map(p => p._id || p)
+        .filter(id => !sameId(id, leavingUserId));
+
+    const admin = remaining.find(id => (conversation.admins || []).some(adminId => sameId(adminId, id)));
+    return admin || remaining[0] || null;
+};
+
+// Permissions of a group with defaults filled in, as sent to clients
+const getGroupPermissions = (conversation) => {
+    return Object.fromEntries(GROUP_PERMISSIONS.map(permission => [
+        permission,
+        conversation.groupPermissions?.[permission] || DEFAULT_GROUP_PERMISSIONS[permission]
+    ]));
+};
+
+// 403 response body for a missing group permission
+const permissionDenied = (message) => ({ message, code: "GROUP_PERMISSION_DENIED" });
+
+module.exports = {
+    GROUP_PERMISSIONS,
+    PERMISSION_LEVELS,
+    DEFAULT_GROUP_PERMISSIONS,
+    getOwnerId,
+    getGroupRole,
+    isGroupAdmin,
+    hasGroupPermission,
+    pickNextOwner,
+    getGroupPermissions,
+    permissionDenied
+};
@@ -0,0 +1,91 @@
+// Email contents for account-related notifications
+
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+const buildAppLink = (pathname, token) => `${APP_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const layout = (name, paragraphs) => ({
+    text: [`Hi ${name},`, ...paragraphs, "— The QuickChat team"].join("\n\n"),
+    html: [`<p>Hi ${escapeHtml(name)},</p>`, ...paragraphs.map(p => `<p>${escapeHtml(p)}</p>`), "<p>— The QuickChat team</p>"].join("\n")
+});
+
+exports.verificationEmail = (user, token) => {
+    const link = buildAppLink("/verify-email", token);
+    return {
+        to: user.email,
+        subject: "Verify your QuickChat email address",
+        ...layout(user.name, [
+            "Please confirm your email address to finish setting up your QuickChat account:",
+            link,
+            "This link expires in 24 hours. If you didn't create an account, you can ignore this email."
+        ])
+    };
+};
+
+exports.passwordResetEmail = (user, token) => {
+    const link = buildAppLink("/reset-password", token);
+    return {
+        to: user.email,
+        subject: "Reset your QuickChat password",
+        ...layout(user.name, [
+            "We received a request to reset your QuickChat password. Use the link below to choose a new one:",
+            link,
+            "This link expires in 1 hour and can only be used once. If you didn't request a reset, you can ignore this email."
+        ])
+    };
+};
+
+exports.passwordSetupEmail = (user, token) => {
+    const link = buildAppLink("/reset-password", token);
+    return {
+        to: user.email,
+        subject: "Set a password for your QuickChat account",
+        ...layout(user.name, [
+            "You asked to add a password to your QuickChat account. Use the link below to choose one:",
+            link,
+            "This link expires in 1 hour and can only be used once. If you didn't request this, you can ignore this email."
+        ])
+    };
+};
+
+exports.emailChangeConfirmationEmail = (user, newEmail, token) => {
+    const link = buildAppLink("/confirm-email-change", token);
+    return {
+        to: newEmail,
+        subject: "Confirm your new QuickChat email address",
+        ...layout(user.name, [
+            "You asked to use this address for your QuickChat account. Confirm the change with the link below:",
+            link,
+            "This link expires in 24 hours. If you didn't request this, you can ignore this email."
+        ])
+    };
+};
+
+exports.emailChangeNoticeEmail = (user, newEmail, cancelToken) => {
+    const link = buildAppLink("/cancel-email-change", cancelToken);
+    return {
+        to: user.email,
+        subject: "Your QuickChat email address is being changed",
+        ...layout(user.name, [
+            `A request was made to change the email address of your QuickChat account to ${newEmail}.`,
+            "If this wasn't you, cancel the change with the link below and reset your password:",
+            link
+        ])
+    };
+};
+
+exports.accountDeletionScheduledEmail = (user, scheduledFor) => ({
+    to: user.email,
+    subject: "Your QuickChat account is scheduled for deletion",
+    ...layout(user.name, [
+        `Your QuickChat account and its data will be permanently deleted on ${scheduledFor.toUTCString()}.`,
+        "Changed your mind? Sign in and cancel the deletion from your account settings before then.",
+        "If you didn't request this, sign in, cancel the deletion and change your password."
+    ])
+});
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+/**
+ * Mail transport abstraction.
+ * A transport is any object with an async `send({ to, subject, text, html })` method.
+ *  - "smtp":   delivers through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ *  - "outbox": writes each message as a JSON file to MAIL_OUTBOX_DIR (default for development and tests)
+ */
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        } : undefined
+    });
+
+    return {
+        name: "smtp",
+        send: (message) => transporter.sendMail({
+            from: process.env.MAIL_FROM || "QuickChat <no-reply@quickchat.local>",
+            ...message
+        })
+    };
+};
+
+const createOutboxTransport = (outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "mail-outbox")) => {
+    return {
+        name: "outbox",
+        outboxDir,
+        send: async (message) => {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+            const filePath = path.join(outboxDir, fileName);
+            await fs.promises.writeFile(filePath, JSON.stringify({
+                ...message,
+                from: process.env.MAIL_FROM || "QuickChat <no-reply@quickchat.local>",
+                date: new Date().toISOString()
+            }, null, 2));
+            console.log(`📧 Mail to ${message.to} written to outbox: ${filePath}`);
+            return { filePath };
+        }
+    };
+};
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        transport = process.env.MAIL_TRANSPORT === "smtp" ? createSmtpTransport() : createOutboxTransport();
+    }
+    return transport;
+};
+
+// Replace the active transport (e.g. with a custom provider or a test double)
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+    return getTransport().send({ to, subject, text, html });
+};
+
+module.exports = { sendMail, setTransport, getTransport, createSmtpTransport, createOutboxTransport };
@@ -0,0 +1,35 @@
+const User = require("../models/User");
+
+// "@alice" or "@bob.smith" (see the username format in models/User.js); not e.g. "me@alice"
+const MENTION_PATTERN = /(^|[^\w@.])@([a-z0-9_.]{3,30})/gi;
+
+// Usernames mentioned in a message text, lowercased and without duplicates
+const extractMentionedUsernames = (content) => {
+    const usernames = new Set();
+    for (const match of String(content || "").matchAll(MENTION_PATTERN)) {
+        // A trailing dot ends the sentence rather than the username
+        const username = match[2].toLowerCase().replace(/\.+$/, "");
+        if (username.length >= 3) usernames.add(username);
+    }
+    return [...usernames];
+};
+
+/**
+ * Ids of the conversation participants mentioned in `content`, leaving out the sender.
+ * Mentions of users outside the conversation are ignored.
+ */
+const resolveMentions = async (content, participantIds, senderId) => {
+    const usernames = extractMentionedUsernames(content);
+    if (usernames.length === 0) return [];
+
+    const users = await User.find({
+        _id: { $in: participantIds, $ne: senderId },
+        username: { $in: usernames }
+    }).select("_id");
+    return users.map(user => user._id);
+};
+
+module.exports = {
+    extractMentionedUsernames,
+    resolveMentions
+};
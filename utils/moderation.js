@@ -0,0 +1,35 @@
+const { getSuspensionDetails } = require("../middleware/authMiddleware");
+const { disconnectUserSockets } = require("../sockets/userSocketManager");
+
+const MAX_SUSPENSION_HOURS = 365 * 24;
+
+// Moderators may only act on accounts ranked below them
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+const canModerate = (actor, target) =>
+    !actor._id.equals(target._id) && ROLE_RANK[actor.role || "user"] > ROLE_RANK[target.role || "user"];
+
+/**
+ * Suspend a user until the given date, or indefinitely (ban) when `until` is null,
+ * and force-disconnect their live sockets. REST requests and new socket connections
+ * are refused from then on by the auth middleware.
+ */
+const suspendUser = async (user, { until = null, reason, by }, io) => {
+    user.suspendedAt = new Date();
+    user.suspendedUntil = until;
+    user.suspensionReason = reason;
+    user.suspendedBy = by;
+    await user.save();
+
+    disconnectUserSockets(user._id, io, "accountSuspended", getSuspensionDetails(user));
+};
+
+const liftSuspension = async (user) => {
+    user.suspendedAt = null;
+    user.suspendedUntil = null;
+    user.suspensionReason = null;
+    user.suspendedBy = undefined;
+    await user.save();
+};
+
+module.exports = { MAX_SUSPENSION_HOURS, canModerate, suspendUser, liftSuspension };
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+/**
+ * Minimal OpenID Connect relying party (authorization code flow with PKCE).
+ * Configured through env:
+ *  - OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET
+ *  - OIDC_REDIRECT_URI: this server's callback, e.g. https://api.example.com/api/auth/oidc/callback
+ *  - OIDC_SCOPES (default "openid email profile"), OIDC_PROVIDER_NAME (default "oidc")
+ */
+const getOidcConfig = () => ({
+    issuer: (process.env.OIDC_ISSUER || "").replace(/\/$/, ""),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || "openid email profile",
+    providerName: process.env.OIDC_PROVIDER_NAME || "oidc"
+});
+
+const isOidcEnabled = () => {
+    const { issuer, clientId, redirectUri } = getOidcConfig();
+    return !!(issuer && clientId && redirectUri);
+};
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+// Random values for the state, nonce and PKCE verifier; the challenge is the S256 hash of the verifier
+const randomToken = () => base64url(crypto.randomBytes(32));
+const createCodeChallenge = (codeVerifier) => base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(`OIDC request to ${url} failed with ${response.status}: ${body.error_description || body.error || "unknown error"}`);
+        error.status = response.status;
+        throw error;
+    }
+    return body;
+};
+
+// Provider metadata and signing keys are cached per issuer
+let discoveryCache = null;
+let jwksCache = null;
+
+const discover = async () => {
+    const { issuer } = getOidcConfig();
+    if (discoveryCache?.issuer === issuer) return discoveryCache.metadata;
+
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer.replace(/\/$/, "") !== issuer) {
+        throw new Error(`OIDC issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+    }
+    discoveryCache = { issuer, metadata };
+    jwksCache = null;
+    return metadata;
+};
+
+const getSigningKey = async (kid) => {
+    const findKey = () => jwksCache?.keys.find(key => !kid || key.kid === kid);
+
+    // Refetch once when the key isn't known, the provider may have rotated its keys
+    if (!findKey()) {
+        const { jwks_uri: jwksUri } = await discover();
+        jwksCache = await fetchJson(jwksUri);
+    }
+
+    const jwk = findKey();
+    if (!jwk) throw new Error(`No OIDC signing key found for kid ${kid}`);
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeVerifier }) => {
+    const { clientId, redirectUri, scopes } = getOidcConfig();
+    const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+    const params = new URLSearchParams({
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes,
+        state,
+        nonce,
+        code_challenge: createCodeChallenge(codeVerifier),
+        code_challenge_method: "S256"
+    });
+    return `${authorizationEndpoint}?${params.toString()}`;
+};
+
+// Exchange the authorization code for tokens (client_secret_basic authentication)
+const exchangeCode = async (code, codeVerifier) => {
+    const { clientId, clientSecret, redirectUri } = getOidcConfig();
+    const { token_endpoint: tokenEndpoint } = await discover();
+
+    const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+    if (clientSecret) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+
+    return fetchJson(tokenEndpoint, {
+        method: "POST",
+        headers,
+        body: new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: redirectUri,
+            client_id: clientId,
+            code_verifier: codeVerifier
+        }).toString()
+    });
+};
+
+// Verify the ID token's signature, issuer, audience, expiry and nonce; returns its claims
+const verifyIdToken = async (idToken, expectedNonce) => {
+    const { issuer, clientId } = getOidcConfig();
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error("Malformed ID token");
+
+    const publicKey = await getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, publicKey, {
+        algorithms: ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"],
+        audience: clientId
+    });
+
+    if (claims.iss.replace(/\/$/, "") !== issuer) throw new Error("ID token issuer mismatch");
+    if (claims.nonce !== expectedNonce) throw new Error("ID token nonce mismatch");
+    return claims;
+};
+
+const fetchUserInfo = async (accessToken) => {
+    const { userinfo_endpoint: userinfoEndpoint } = await discover();
+    if (!userinfoEndpoint) return {};
+    return fetchJson(userinfoEndpoint, { headers: { Authorization: `Bearer ${accessToken}` } });
+};
+
+module.exports = {
+    getOidcConfig,
+    isOidcEnabled,
+    randomToken,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    fetchUserInfo
+};
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Password policy applied on registration, password reset and password change.
+ * Configurable through env:
+ *  - PASSWORD_MIN_LENGTH / PASSWORD_MAX_LENGTH
+ *  - PASSWORD_BLOCKLIST_PATH: file of common/breached passwords, one per line
+ */
+const MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+const MAX_LENGTH = Number(process.env.PASSWORD_MAX_LENGTH) || 128;
+const BLOCKLIST_PATH = process.env.PASSWORD_BLOCKLIST_PATH || path.join(__dirname, "data", "common-passwords.txt");
+
+let blocklist = null;
+
+// Loaded lazily and cached; lines starting with "#" are comments
+const getBlocklist = () => {
+    if (!blocklist) {
+        blocklist = new Set(
+            fs.readFileSync(BLOCKLIST_PATH, "utf8")
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith("#"))
+        );
+    }
+    return blocklist;
+};
+
+/**
+ * Check a password against the policy.
+ * Returns a list of human-readable problems (empty if the password is acceptable).
+ */
+const validatePassword = (password, { email } = {}) => {
+    if (typeof password !== "string" || password.length === 0) {
+        return ["Password is required"];
+    }
+
+    const errors = [];
+    const normalized = password.toLowerCase();
+
+    if (password.length < MIN_LENGTH) {
+        errors.push(`Password must be at least ${MIN_LENGTH} characters long`);
+    }
+    if (password.length > MAX_LENGTH) {
+        errors.push(`Password must be at most ${MAX_LENGTH} characters long`);
+    }
+    if (getBlocklist().has(normalized)) {
+        errors.push("This password is too common, please choose another one");
+    }
+    if (email) {
+        const normalizedEmail = String(email).toLowerCase();
+        if (normalized === normalizedEmail || normalized === normalizedEmail.split("@")[0]) {
+            errors.push("Password must not be the same as your email address");
+        }
+    }
+
+    return errors;
+};
+
+module.exports = { validatePassword, MIN_LENGTH, MAX_LENGTH };
@@ -0,0 +1,186 @@
+const User = require("../models/User");
+const { getAllConnectedUsers, emitToUser } = require("../sockets/userSocketManager");
+const { getActiveStatus } = require("./customStatus");
+const { getAvatarUrls } = require("./avatar");
+
+/**
+ * Per-user privacy settings. Each setting is "everyone", "contacts" or "nobody":
+ *  - lastSeen:      the lastSeen timestamp
+ *  - onlineStatus:  the online flag and userOnline/userOffline events
+ *  - profilePhoto:  profileImage
+ *  - readReceipts:  whether others learn that this user has seen their messages.
+ *                   Receipts are reciprocal: hiding yours also hides everyone else's from you.
+ * Users this user has blocked are treated like "nobody" for every setting.
+ */
+const PRIVACY_SETTINGS = ["lastSeen", "onlineStatus", "profilePhoto", "readReceipts"];
+const VISIBILITY_OPTIONS = ["everyone", "contacts", "nobody"];
+
+// Fields that must be loaded on a user document for canSee()
+const PRIVACY_FIELDS = "privacy contacts blockedUsers";
+// Fields read by toPublicProfile() (together with PRIVACY_FIELDS)
+const PUBLIC_PROFILE_FIELDS = "name username profileImage profileImageSizes isOnline lastSeen bio customStatus timezone";
+// Fields populated for message senders, pinners and reacting users (see formatMessageUsers())
+const MESSAGE_USER_FIELDS = `name username profileImage profileImageSizes ${PRIVACY_FIELDS}`;
+
+const includesId = (ids, id) => (ids || []).some(item => item.toString() === id.toString());
+
+// May `viewerId` see `setting` of `owner` (a user loaded with PRIVACY_FIELDS)?
+const canSee = (owner, viewerId, setting) => {
+    if (owner._id.toString() === viewerId.toString()) return true;
+    if (includesId(owner.blockedUsers, viewerId)) return false;
+
+    const visibility = owner.privacy?.[setting] || "everyone";
+    if (visibility === "everyone") return true;
+    if (visibility === "contacts") return includesId(owner.contacts, viewerId);
+    return false;
+};
+
+// Read receipts are shared between two users only if both allow it
+const sharesReadReceipts = (userA, userB) => {
+    return canSee(userA, userB._id, "readReceipts") && canSee(userB, userA._id, "readReceipts");
+};
+
+// Profile photo of `user` (loaded with PRIVACY_FIELDS, profileImage and profileImageSizes) as seen by `viewerId`
+const getVisiblePhoto = (user, viewerId) => {
+    const visible = canSee(user, viewerId, "profilePhoto");
+    return {
+        profileImage: visible ? user.profileImage : "",
+        // Falls back to the initials avatar when there is no photo or it is hidden
+        avatar: getAvatarUrls(user, { visible })
+    };
+};
+
+/**
+ * Public profile of `user` as seen by `viewerId`: hidden values are replaced with the
+ * same defaults everyone gets (offline, no last seen, no photo) so nothing gives the setting away.
+ */
+const toPublicProfile = (user, viewerId, { isOnline = user.isOnline } = {}) => ({
+    _id: user._id,
+    name: user.name,
+    username: user.username || null,
+    ...getVisiblePhoto(user, viewerId),
+    isOnline: canSee(user, viewerId, "onlineStatus") ? !!isOnline : false,
+    lastSeen: canSee(user, viewerId, "lastSeen") ? user.lastSeen : null,
+    bio: user.bio || "",
+    customStatus: getActiveStatus(user),
+    timezone: user.timezone || null
+});
+
+// A user populated with MESSAGE_USER_FIELDS as seen by `viewerId`; ids that weren't populated are kept as they are
+const toMessageUser = (user, viewerId) => {
+    if (!user?.name) return user;
+    return { _id: user._id, name: user.name, username: user.username || null, ...getVisiblePhoto(user, viewerId) };
+};
+
+// Plain message object (toObject()) with its populated users formatted for `viewerId`
+const formatMessageUsers = (message, viewerId) => ({
+    ...message,
+    sender: toMessageUser(message.sender, viewerId),
+    pinnedBy: toMessageUser(message.pinnedBy, viewerId),
+    reactions: (message.reactions || []).map(reaction => ({ ...reaction, user: toMessageUser(reaction.user, viewerId) }))
+});
+
+/**
+ * Emit a message document (users populated with MESSAGE_USER_FIELDS) to the sockets in `room`,
+ * with its users formatted for each socket's own user. `buildPayload` wraps the formatted
+ * message into the event payload; `except` lists socket ids to skip.
+ */
+const emitMessageToRoom = async (io, room, event, message, { except = [], buildPayload = formatted => formatted } = {}) => {
+    if (!io) return;
+
+    const messageObj = message.toJSON();
+    const sockets = await io.in(room.toString()).except(except).fetchSockets();
+    sockets.forEach(socket => {
+        socket.emit(event, buildPayload(formatMessageUsers(messageObj, socket.data.userId)));
+    });
+};
+
+/**
+ * Send a presence event (userOnline/userOffline) about `user` to every connected user
+ * allowed to see their online status. The lastSeen in the payload is cleared for viewers
+ * who may not see it.
+ */
+const broadcastPresence = (io, user, event, payload) => {
+    if (!io) return;
+
+    getAllConnectedUsers().forEach(viewerId => {
+        if (!canSee(user, viewerId, "onlineStatus")) return;
+
+        const viewerPayload = "lastSeen" in payload && !canSee(user, viewerId, "lastSeen")
+            ? { ...payload, lastSeen: null }
+            : payload;
+        emitToUser(viewerId, io, event, viewerPayload);
+    });
+};
+
+/**
+ * Re-send `user`'s current presence to every connected user after their privacy settings
+ * changed: viewers who may now see them online get userOnline, everyone else userOffline.
+ */
+const refreshPresence = (io, user, isOnline) => {
+    if (!io) return;
+
+    getAllConnectedUsers().forEach(viewerId => {
+        if (viewerId === user._id.toString()) return;
+
+        if (isOnline && canSee(user, viewerId, "onlineStatus")) {
+            emitToUser(viewerId, io, "userOnline", { userId: user._id.toString() });
+        } else {
+            emitToUser(viewerId, io, "userOffline", {
+                userId: user._id.toString(),
+                lastSeen: canSee(user, viewerId, "lastSeen") ? user.lastSeen : null
+            });
+        }
+    });
+};
+
+/**
+ * Hide read receipts `viewer` may not see on messages (plain objects): `seen`/`seenAt`
+ * on their own direct messages and other users' entries in `seenBy`.
+ * `participants` are the conversation's users loaded with PRIVACY_FIELDS, including the viewer.
+ */
+const maskReadReceipts = (messages, viewer, participants) => {
+    const viewerId = viewer._id.toString();
+    const visibleReaders = new Set(
+        participants
+            .filter(p => p._id.toString() === viewerId || sharesReadReceipts(viewer, p))
+            .map(p => p._id.toString())
+    );
+    const othersVisible = participants.every(p => visibleReaders.has(p._id.toString()));
+
+    return messages.map(msg => {
+        const senderId = (msg.sender?._id || msg.sender)?.toString();
+        const masked = { ...msg };
+        if (senderId === viewerId && !othersVisible) {
+            masked.seen = false;
+            masked.seenAt = null;
+        }
+        if (Array.isArray(msg.seenBy)) {
+            masked.seenBy = msg.seenBy.filter(entry => visibleReaders.has((entry.user?._id || entry.user)?.toString()));
+        }
+        return masked;
+    });
+};
+
+// Load the privacy-relevant fields of the given users
+const loadPrivacyProfiles = (userIds) => {
+    return User.find({ _id: { $in: userIds } }).select(PRIVACY_FIELDS);
+};
+
+module.exports = {
+    PRIVACY_SETTINGS,
+    VISIBILITY_OPTIONS,
+    PRIVACY_FIELDS,
+    PUBLIC_PROFILE_FIELDS,
+    MESSAGE_USER_FIELDS,
+    canSee,
+    sharesReadReceipts,
+    getVisiblePhoto,
+    toPublicProfile,
+    formatMessageUsers,
+    emitMessageToRoom,
+    broadcastPresence,
+    refreshPresence,
+    maskReadReceipts,
+    loadPrivacyProfiles
+};
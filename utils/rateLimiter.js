@@ -0,0 +1,225 @@
+/**
+ * Failed-attempt tracking with exponential backoff and temporary lockout.
+ *
+ * Limiters keep their state in a store with an async key/value interface:
+ *   get(key) -> value | null,  set(key, value, ttlMs),  delete(key),
+ *   update(key, updater) -> result
+ * update() must be atomic: it reads the current value, calls updater(value) and stores the
+ * { value, ttlMs } it returns (nothing when it returns no value), then resolves to its `result`.
+ * The default MemoryStore only works for a single instance; for multi-instance
+ * deployments call setLimiterStore() at startup with a store backed by a shared
+ * service (e.g. Redis, with a transaction or script for update()) that implements the same methods.
+ */
+
+class MemoryStore {
+    constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+        this.entries = new Map();
+
+        // Periodically drop expired entries so the map doesn't grow forever
+        this.sweeper = setInterval(() => {
+            const now = Date.now();
+            this.entries.forEach((entry, key) => {
+                if (entry.expiresAt <= now) this.entries.delete(key);
+            });
+        }, sweepIntervalMs);
+        this.sweeper.unref();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    // Read and write without awaiting in between, so concurrent updates can't interleave
+    async update(key, updater) {
+        const entry = this.entries.get(key);
+        const current = entry && entry.expiresAt > Date.now() ? entry.value : null;
+        const { value, ttlMs, result } = updater(current);
+        if (value) this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        return result;
+    }
+}
+
+let store = new MemoryStore();
+
+// Replace the store used by all limiters (e.g. with a shared store)
+const setLimiterStore = (customStore) => {
+    store = customStore;
+};
+
+class AttemptLimiter {
+    /**
+     * @param {string} prefix         Key namespace, e.g. "login:account"
+     * @param {number} freeAttempts   Failures allowed before any delay is applied
+     * @param {number} baseDelayMs    First delay; doubled for every further failure
+     * @param {number} maxDelayMs     Upper bound for the backoff delay
+     * @param {number} maxFailures    Failures after which the key is locked out
+     * @param {number} lockoutMs      Lockout duration
+     * @param {number} windowMs       Failures are forgotten this long after the last one
+     */
+    constructor({ prefix, freeAttempts, baseDelayMs, maxDelayMs, maxFailures, lockoutMs, windowMs }) {
+        Object.assign(this, { prefix, freeAttempts, baseDelayMs, maxDelayMs, maxFailures, lockoutMs, windowMs });
+    }
+
+    key(id) {
+        return `${this.prefix}:${String(id).toLowerCase()}`;
+    }
+
+    // Seconds the caller has to wait before trying again (0 if allowed now)
+    async getRetryAfter(id) {
+        const record = await store.get(this.key(id));
+        if (!record?.lockedUntil) return 0;
+        return Math.max(0, Math.ceil((record.lockedUntil - Date.now()) / 1000));
+    }
+
+    // Wait imposed after the given number of failures
+    delayFor(failures) {
+        if (failures >= this.maxFailures) return this.lockoutMs;
+        if (failures > this.freeAttempts) {
+            return Math.min(this.baseDelayMs * 2 ** (failures - this.freeAttempts - 1), this.maxDelayMs);
+        }
+        return 0;
+    }
+
+    // Add one failure to a record and apply its backoff
+    countFailure(current) {
+        const record = { failures: 0, lockedUntil: null, lockedAt: null, ...current };
+        record.failures += 1;
+
+        const delayMs = this.delayFor(record.failures);
+        if (delayMs) {
+            record.lockedUntil = Date.now() + delayMs;
+            record.lockedAt = record.failures;
+        }
+        return { record, ttlMs: Math.max(this.windowMs, delayMs), delayMs };
+    }
+
+    // Record a failure; returns the resulting wait in seconds
+    async recordFailure(id) {
+        return store.update(this.key(id), (current) => {
+            const { record, ttlMs, delayMs } = this.countFailure(current);
+            return { value: record, ttlMs, result: Math.ceil(delayMs / 1000) };
+        });
+    }
+
+    /**
+     * Check and count an attempt in one atomic step, before its outcome is known, so that
+     * concurrent attempts can't all pass the check. Returns the wait in seconds when the key is
+     * locked (nothing is counted then), otherwise 0 and the attempt counts as a failure until
+     * reset() or release() is called for it.
+     */
+    async reserve(id) {
+        return store.update(this.key(id), (current) => {
+            const retryAfter = current?.lockedUntil ? Math.ceil((current.lockedUntil - Date.now()) / 1000) : 0;
+            if (retryAfter > 0) return { result: retryAfter };
+
+            const { record, ttlMs } = this.countFailure(current);
+            return { value: record, ttlMs, result: 0 };
+        });
+    }
+
+    // Take back a reserved attempt that succeeded, lifting the backoff it caused
+    async release(id) {
+        await store.update(this.key(id), (current) => {
+            if (!current?.failures) return {};
+
+            const record = { ...current, failures: current.failures - 1 };
+            if (current.lockedAt === current.failures) {
+                record.lockedUntil = null;
+                record.lockedAt = null;
+            }
+            const ttlMs = Math.max(this.windowMs, (record.lockedUntil || 0) - Date.now());
+            return { value: record, ttlMs };
+        });
+    }
+
+    async reset(id) {
+        await store.delete(this.key(id));
+    }
+}
+
+const minutes = (value) => value * 60 * 1000;
+
+// Failed logins per account (email). Locked for LOGIN_LOCKOUT_MINUTES after LOGIN_MAX_FAILURES failures.
+const accountLoginLimiter = new AttemptLimiter({
+    prefix: "login:account",
+    freeAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: minutes(5),
+    maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 10,
+    lockoutMs: minutes(Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15),
+    windowMs: minutes(60)
+});
+
+// Failed logins per client IP, with more headroom for shared networks
+const ipLoginLimiter = new AttemptLimiter({
+    prefix: "login:ip",
+    freeAttempts: 10,
+    baseDelayMs: 1000,
+    maxDelayMs: minutes(5),
+    maxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+    lockoutMs: minutes(Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15),
+    windowMs: minutes(60)
+});
+
+// Every registration attempt per client IP counts, successful or not
+const registrationLimiter = new AttemptLimiter({
+    prefix: "register:ip",
+    freeAttempts: 5,
+    baseDelayMs: minutes(1),
+    maxDelayMs: minutes(30),
+    maxFailures: 20,
+    lockoutMs: minutes(60),
+    windowMs: minutes(60)
+});
+
+/**
+ * Reserve a login attempt (password or second factor) for both the account and the client IP
+ * before the credentials are checked. Returns the wait in seconds if either is locked, else 0.
+ */
+const reserveLoginAttempt = async (email, clientIp) => {
+    const accountRetryAfter = await accountLoginLimiter.reserve(email);
+    if (accountRetryAfter) return accountRetryAfter;
+
+    const ipRetryAfter = await ipLoginLimiter.reserve(clientIp);
+    if (ipRetryAfter) await accountLoginLimiter.release(email);
+    return ipRetryAfter;
+};
+
+// After a successful login: clear the account's failures and take back the IP's reservation
+// (the IP counter isn't cleared, so one valid login can't reset an IP under attack)
+const settleSuccessfulLogin = async (email, clientIp) => {
+    await accountLoginLimiter.reset(email);
+    await ipLoginLimiter.release(clientIp);
+};
+
+// Respond with 429 and a Retry-After header
+const sendTooManyRequests = (res, retryAfter, message = "Too many attempts. Please try again later.") => {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ message, retryAfter });
+};
+
+module.exports = {
+    MemoryStore,
+    AttemptLimiter,
+    setLimiterStore,
+    accountLoginLimiter,
+    ipLoginLimiter,
+    registrationLimiter,
+    reserveLoginAttempt,
+    settleSuccessfulLogin,
+    sendTooManyRequests
+};
@@ -0,0 +1,239 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const VerificationToken = require("../models/VerificationToken");
+const { disconnectSessionSockets } = require("../sockets/userSocketManager");
+
+// Access tokens are short-lived; refresh tokens are long-lived, opaque and rotated on use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Hash opaque tokens before storing them so a database leak doesn't leak usable tokens
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign(
+        { userId, sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+const getRefreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Get client IP, considering proxy headers
+// Express resolves req.ip from X-Forwarded-For only for the proxies allowed by the
+// "trust proxy" setting (TRUST_PROXY, see server.js), so clients can't spoof it
+const getClientIp = (req) => {
+    return req.ip || req.socket?.remoteAddress || null;
+};
+
+// Prefer a name supplied by the client, fall back to a rough guess from the user agent
+const getDeviceName = (req) => {
+    const supplied = req.body?.deviceName || req.headers["x-device-name"];
+    if (supplied) return String(supplied).slice(0, 100);
+
+    const userAgent = req.headers["user-agent"] || "";
+    if (/android/i.test(userAgent)) return "Android";
+    if (/iphone|ipad/i.test(userAgent)) return "iOS";
+    if (/windows/i.test(userAgent)) return "Windows";
+    if (/macintosh|mac os/i.test(userAgent)) return "macOS";
+    if (/linux/i.test(userAgent)) return "Linux";
+    return "Unknown device";
+};
+
+/**
+ * Create a new session for the user and issue an access/refresh token pair.
+ * Returns the tokens together with the session id so callers can reference it.
+ */
+const issueAuthTokens = async (user, req) => {
+    const refreshToken = generateRefreshToken();
+
+    const session = new Session({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        deviceName: getDeviceName(req),
+        ipAddress: getClientIp(req),
+        userAgent: req.headers["user-agent"] || null,
+        lastUsedAt: new Date(),
+        expiresAt: getRefreshTokenExpiry()
+    });
+    await session.save();
+
+    return {
+        token: generateAccessToken(user._id, session._id),
+        refreshToken,
+        sessionId: session._id
+    };
+};
+
+/**
+ * Start a session for a fully authenticated user and build the login response body.
+ * Shared by every sign-in path so they all return the same shape.
+ */
+const buildLoginResponse = async (user, req) => {
+    const { token, refreshToken, sessionId } = await issueAuthTokens(user, req);
+
+    return {
+        token,
+        refreshToken,
+        sessionId,
+        userId: user._id,
+        data: {
+            _id: user._id,
+            name: user.name,
+            username: user.username || null,
+            email: user.email,
+            profileImage: user.profileImage,
+            role: user.role,
+            emailVerified: user.emailVerified !== false,
+            // Set while a requested account deletion can still be cancelled
+            deletionScheduledFor: user.deletionScheduledFor || null
+        }
+    };
+};
+
+// Short-lived token proving the password step of a two-factor login succeeded
+const generateChallengeToken = (userId) => {
+    return jwt.sign(
+        { userId, purpose: "2fa_challenge" },
+        process.env.JWT_SECRET,
+        { expiresIn: "5m" }
+    );
+};
+
+// Returns the user id of a valid challenge token, or null
+const verifyChallengeToken = (challengeToken) => {
+    try {
+        const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        return decoded.purpose === "2fa_challenge" ? decoded.userId : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Rotate the refresh token of an existing session.
+ * Returns the new token pair, or null if the refresh token is unknown, reused or expired.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+    const tokenHash = hashToken(refreshToken);
+    const newRefreshToken = generateRefreshToken();
+    const now = new Date();
+
+    // Swap the token in a single update so two concurrent refreshes can't both succeed
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            previousTokenHash: tokenHash,
+            refreshTokenHash: hashToken(newRefreshToken),
+            lastUsedAt: now,
+            ipAddress: getClientIp(req),
+            ...(req.headers["user-agent"] && { userAgent: req.headers["user-agent"] }),
+            expiresAt: getRefreshTokenExpiry()
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // A refresh token that was already rotated out (possibly a moment ago by a concurrent
+        // request) is being replayed: assume it was stolen and revoke the whole session
+        const reusedSession = await Session.findOneAndUpdate(
+            { previousTokenHash: tokenHash, revokedAt: null },
+            { revokedAt: now }
+        );
+        if (reusedSession) {
+            disconnectSessionSockets(reusedSession._id, req.app?.get("io"), "Session revoked");
+            console.warn(`Refresh token reuse detected, revoked session ${reusedSession._id}`);
+        }
+        return null;
+    }
+
+    return {
+        token: generateAccessToken(session.user, session._id),
+        refreshToken: newRefreshToken,
+        sessionId: session._id,
+        userId: session.user
+    };
+};
+
+/**
+ * Revoke all active sessions of a user (optionally keeping one, e.g. the current device)
+ * and disconnect the sockets opened with them.
+ */
+const revokeUserSessions = async (userId, io, { exceptSessionId = null, reason = "Session revoked" } = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessions = await Session.find(filter).select("_id");
+    await Session.updateMany(filter, { revokedAt: new Date() });
+    sessions.forEach(session => disconnectSessionSockets(session._id, io, reason));
+
+    return sessions.length;
+};
+
+/**
+ * Create a single-use token of the given type for a user (e.g. email verification).
+ * Any earlier unused token of the same type is invalidated. Returns the raw token.
+ */
+const createVerificationToken = async (userId, type, ttlMs) => {
+    await VerificationToken.deleteMany({ user: userId, type, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await VerificationToken.create({
+        user: userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return token;
+};
+
+// Look up a valid (unused, unexpired) token without using it up
+const findVerificationToken = async (token, type) => {
+    if (!token || typeof token !== "string") return null;
+
+    return VerificationToken.findOne({
+        tokenHash: hashToken(token),
+        type,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Atomically mark a token as used. Returns the token document,
+ * or null if the token is unknown, expired or was already used.
+ */
+const consumeVerificationToken = async (token, type) => {
+    if (!token || typeof token !== "string") return null;
+
+    return VerificationToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            type,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    hashToken,
+    generateAccessToken,
+    getClientIp,
+    issueAuthTokens,
+    buildLoginResponse,
+    generateChallengeToken,
+    verifyChallengeToken,
+    rotateRefreshToken,
+    revokeUserSessions,
+    createVerificationToken,
+    findVerificationToken,
+    consumeVerificationToken
+};
@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const { getUserSockets, emitToUser } = require("../sockets/userSocketManager");
+const { getSettingsEntry, isMutedEntry, ensureSettingsEntry, clearMarkedUnread } = require("./conversationSettings");
+
+/**
+ * Unread counts. Every participant has a read pointer (participantSettings.lastReadAt): messages
+ * from others created after it are unread. Participants without a pointer yet fall back to the
+ * per-message seen flags. Deleted, withheld and system messages never count.
+ *
+ * Badge totals leave out muted and archived conversations, but mentions always count.
+ */
+
+// Match stage for the messages a user hasn't read in each of the given conversations
+const unreadMatch = (userId, conversations) => {
+    const perConversation = conversations.map(conv => {
+        const lastReadAt = getSettingsEntry(conv, userId)?.lastReadAt;
+        if (lastReadAt) return { conversation: conv._id, createdAt: { $gt: lastReadAt } };
+
+        // No read pointer yet: use the seen flags kept before pointers existed
+        return conv.isGroupChat
+            ? { conversation: conv._id, "seenBy.user": { $ne: userId } }
+            : { conversation: conv._id, seen: false };
+    });
+
+    return {
+        $or: perConversation,
+        sender: { $ne: userId },
+        isDeleted: { $ne: true },
+        isSystem: { $ne: true },
+        withheldFrom: { $ne: userId }
+    };
+};
+
+/**
+ * Unread and mention counts of a user in each conversation (which must include
+ * participantSettings and isGroupChat), as a Map of conversation id => { unreadCount, mentionCount }.
+ * One aggregation for all conversations.
+ */
+const getUnreadCounts = async (userId, conversations) => {
+    const counts = new Map(conversations.map(conv => [conv._id.toString(), { unreadCount: 0, mentionCount: 0 }]));
+    if (conversations.length === 0) return counts;
+
+    const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+    const results = await Message.aggregate([
+        { $match: unreadMatch(userObjectId, conversations) },
+        {
+            $group: {
+                _id: "$conversation",
+                unreadCount: { $sum: 1 },
+                mentionCount: { $sum: { $cond: [{ $in: [userObjectId, { $ifNull: ["$mentions", []] }] }, 1, 0] } }
+            }
+        }
+    ]);
+
+    results.forEach(({ _id, unreadCount, mentionCount }) => {
+        counts.set(_id.toString(), { unreadCount, mentionCount });
+    });
+    return counts;
+};
+
+/**
+ * Badge totals over the conversations in the user's list: unread messages and the number of
+ * conversations with unread messages (or marked unread), both without muted and archived
+ * conversations, and mentions everywhere. Also returns the per-conversation counts.
+ */
+const getUnreadSummary = async (userId) => {
+    const conversations = await Conversation.find({ participants: userId, visibleTo: userId })
+        .select("isGroupChat participantSettings");
+    const counts = await getUnreadCounts(userId, conversations);
+
+    const summary = { totalUnread: 0, unreadConversations: 0, mentionCount: 0 };
+    conversations.forEach(conv => {
+        const { unreadCount, mentionCount } = counts.get(conv._id.toString());
+        const entry = getSettingsEntry(conv, userId);
+
+        summary.mentionCount += mentionCount;
+        if (isMutedEntry(entry) || entry?.archivedAt) return;
+
+        summary.totalUnread += unreadCount;
+        if (unreadCount > 0 || entry?.markedUnread) summary.unreadConversations += 1;
+    });
+
+    return { summary, counts };
+};
+
+/**
+ * Push the user's badge counts to all of their devices ("unreadCountsUpdated"), with the
+ * counts of `conversationId` when given. Skipped when the user isn't connected.
+ */
+const pushUnreadCounts = async (io, userId, conversationId = null) => {
+    if (!io || getUserSockets(userId.toString(), io).length === 0) return;
+
+    const { summary, counts } = await getUnreadSummary(userId);
+    const conversationCounts = conversationId && counts.get(conversationId.toString());
+
+    emitToUser(userId, io, "unreadCountsUpdated", {
+        ...summary,
+        ...(conversationCounts && { conversationId: conversationId.toString(), ...conversationCounts })
+    });
+};
+
+/**
+ * New messages don't push the counts right away: recipients' pushes are batched so that a
+ * busy conversation costs each recipient at most one summary per UNREAD_PUSH_INTERVAL_MS.
+ * The push carries the badge totals and the counts of every conversation that changed.
+ */
+const UNREAD_PUSH_INTERVAL_MS = Number(process.env.UNREAD_PUSH_INTERVAL_MS) || 1000;
+// userId => Set of conversation ids with new messages since the last push
+const pendingPushes = new Map();
+
+const flushUnreadCounts = async (io, userId) => {
+    const conversationIds = [...(pendingPushes.get(userId) || [])];
+    pendingPushes.delete(userId);
+    if (getUserSockets(userId, io).length === 0) return;
+
+    const { summary, counts } = await getUnreadSummary(userId);
+    const conversations = conversationIds
+        .filter(id => counts.has(id))
+        .map(id => ({ conversationId: id, ...counts.get(id) }));
+    const latest = conversations[conversations.length - 1];
+
+    emitToUser(userId, io, "unreadCountsUpdated", { ...summary, ...latest, conversations });
+};
+
+// Queue a counts push for a recipient of a new message in `conversationId`
+const scheduleUnreadCounts = (io, userId, conversationId) => {
+    const userKey = userId.toString();
+    if (!io || getUserSockets(userKey, io).length === 0) return;
+
+    const pending = pendingPushes.get(userKey);
+    if (pending) {
+        // A push is already on its way and will include this conversation (moved to the end as the latest)
+        pending.delete(conversationId.toString());
+        pending.add(conversationId.toString());
+        return;
+    }
+
+    pendingPushes.set(userKey, new Set([conversationId.toString()]));
+    setTimeout(() => {
+        flushUnreadCounts(io, userKey).catch(error => console.error("Error pushing unread counts:", error));
+    }, UNREAD_PUSH_INTERVAL_MS).unref();
+};
+
+/**
+ * Move the user's read pointer forward to `readAt` (never back), clear a manual unread mark
+ * and push the new counts. `readAt` defaults to now, i.e. everything has been read.
+ */
+const markConversationRead = async (io, conversationId, userId, readAt = new Date()) => {
+    await ensureSettingsEntry(conversationId, userId);
+    const result = await Conversation.updateOne(
+        { _id: conversationId, participantSettings: { $elemMatch: { user: userId, lastReadAt: { $not: { $gte: readAt } } } } },
+        { $set: { "participantSettings.$.lastReadAt": readAt } }
+    );
+    const unmarked = await clearMarkedUnread(io, conversationId, userId);
+
+    if (result.modifiedCount > 0 || unmarked) {
+        await pushUnreadCounts(io, userId, conversationId);
+    }
+};
+
+// Read time for a list of seen messages: the creation time of the newest one
+const getReadTimeOfMessages = async (conversationId, messageIds) => {
+    const newest = await Message.findOne({ _id: { $in: messageIds }, conversation: conversationId })
+        .sort({ createdAt: -1 })
+        .select("createdAt");
+    return newest?.createdAt || null;
+};
+
+module.exports = {
+    getUnreadCounts,
+    getUnreadSummary,
+    pushUnreadCounts,
+    scheduleUnreadCounts,
+    markConversationRead,
+    getReadTimeOfMessages
+};
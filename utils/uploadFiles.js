@@ -0,0 +1,29 @@
+const fs = require("fs");
+const path = require("path");
+
+// Files uploaded by users live under uploads/ and are referenced by "/uploads/..." URLs
+const uploadDir = path.join(__dirname, "..", "uploads");
+
+// Map an /uploads/... URL to its file path, refusing anything outside the uploads directory
+const resolveUploadPath = (url) => {
+    if (typeof url !== "string" || !url.startsWith("/uploads/")) return null;
+
+    let filePath;
+    try {
+        filePath = path.resolve(uploadDir, decodeURIComponent(url.slice("/uploads/".length)));
+    } catch {
+        return null;
+    }
+    return filePath.startsWith(uploadDir + path.sep) ? filePath : null;
+};
+
+// Delete a file, ignoring files that are already gone
+const removeFile = (filePath) => fs.promises.unlink(filePath).catch(() => {});
+
+// Delete the files behind the given /uploads/... URLs; other values are ignored
+const removeUploadedFiles = async (urls) => {
+    const filePaths = new Set(urls.map(resolveUploadPath).filter(Boolean));
+    await Promise.all([...filePaths].map(removeFile));
+};
+
+module.exports = { uploadDir, resolveUploadPath, removeFile, removeUploadedFiles };
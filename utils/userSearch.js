@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+
+/**
+ * Ranked user directory search.
+ * Users are found through indexes only: anchored prefixes of the username and of the
+ * lowercased name (searchName), and whole words through the text index. Results are ordered
+ * exact > prefix > other word match on username or name, then by _id, and paginated with an
+ * opaque cursor over (rank, _id). Emails only match when the full address is typed, so the
+ * directory can't be used to harvest them.
+ */
+const RANK = { EXACT: 3, PREFIX: 2, WORD: 1 };
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const encodeCursor = ({ rank, _id }) => {
+    return Buffer.from(JSON.stringify({ r: rank, id: _id.toString() })).toString("base64url");
+};
+
+// Returns { rank, id } or null if the cursor is malformed
+const decodeCursor = (cursor) => {
+    try {
+        const { r, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+        if (!Number.isInteger(r) || !mongoose.Types.ObjectId.isValid(id)) return null;
+        return { rank: r, id: new mongoose.Types.ObjectId(id) };
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Build the aggregation pipeline for one page of results.
+ * @param {string}   term        Search term (a leading "@" is ignored for usernames)
+ * @param {object}   options
+ * @param {Array}    options.excludeIds  Users never returned (e.g. the caller)
+ * @param {object}   options.after       Decoded cursor of the last result of the previous page
+ * @param {number}   options.limit       Page size; one extra result is fetched to detect more pages
+ * @param {string}   options.project     Space-separated fields to return
+ */
+const buildSearchPipeline = (term, { excludeIds = [], after = null, limit = 20, project }) => {
+    const handle = term.replace(/^@/, "").toLowerCase();
+    const escapedTerm = escapeRegex(term);
+    const escapedHandle = escapeRegex(handle);
+    const isEmail = EMAIL_REGEX.test(term);
+    const words = term.split(/\s+/).filter(Boolean);
+
+    // Multi-word terms go through the text index (every word must match, in any order);
+    // single words match a prefix of the username or name, or a whole word of the name.
+    // Every branch can use an index: anchored case-sensitive regexes on lowercase fields
+    // ($type lets the partial username index apply) and the text index.
+    const match = words.length > 1
+        ? { $text: { $search: words.map(word => `"${word.replace(/"/g, "")}"`).join(" ") } }
+        : {
+            $or: [
+                { username: { $type: "string", $regex: `^${escapedHandle}` } },
+                { searchName: { $regex: `^${escapeRegex(term.toLowerCase())}` } },
+                { $text: { $search: `"${handle.replace(/"/g, "")}"` } },
+                ...(isEmail ? [{ email: term.toLowerCase() }, { email: term }] : [])
+            ]
+        };
+
+    const matches = (input, regex) => ({
+        $regexMatch: { input: { $ifNull: [input, ""] }, regex, options: "i" }
+    });
+
+    const pipeline = [
+        { $match: { ...match, _id: { $nin: excludeIds } } },
+        {
+            $addFields: {
+                searchRank: {
+                    $switch: {
+                        branches: [
+                            {
+                                case: {
+                                    $or: [
+                                        matches("$username", `^${escapedHandle}$`),
+                                        matches("$name", `^${escapedTerm}$`),
+                                        ...(isEmail ? [matches("$email", `^${escapedTerm}$`)] : [])
+                                    ]
+                                },
+                                then: RANK.EXACT
+                            },
+                            {
+                                case: {
+                                    $or: [
+                                        matches("$username", `^${escapedHandle}`),
+                                        // Start of the name or of any word in it
+                                        matches("$name", `(^|\\s)${escapedTerm}`)
+                                    ]
+                                },
+                                then: RANK.PREFIX
+                            }
+                        ],
+                        default: RANK.WORD
+                    }
+                },
+                // Whether the user was found by their full email address
+                matchedEmail: isEmail ? matches("$email", `^${escapedTerm}$`) : false
+            }
+        }
+    ];
+
+    if (after) {
+        pipeline.push({
+            $match: {
+                $or: [
+                    { searchRank: { $lt: after.rank } },
+                    { searchRank: after.rank, _id: { $gt: after.id } }
+                ]
+            }
+        });
+    }
+
+    const projection = Object.fromEntries(project.split(/\s+/).filter(Boolean).map(field => [field, 1]));
+
+    pipeline.push(
+        { $sort: { searchRank: -1, _id: 1 } },
+        { $limit: limit + 1 },
+        { $project: { ...projection, searchRank: 1, matchedEmail: 1 } }
+    );
+
+    return pipeline;
+};
+
+module.exports = { RANK, escapeRegex, encodeCursor, decodeCursor, buildSearchPipeline };